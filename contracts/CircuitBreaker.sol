@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.18;
+
+import "./EventFactory.sol";
+
+/**
+ * @title CircuitBreaker
+ * @dev Emergency controls for the platform. A guardian appointed by the
+ * EventFactory owner can halt ticket purchases and transfers for every event
+ * or for a single event, and block scam events so they stop selling tickets
+ * and drop out of EventDiscovery listings. TicketManagers check this
+ * contract on every mint and transfer, whichever contract it goes through.
+ */
+contract CircuitBreaker {
+    // Reference to the EventFactory contract, whose owner appoints the guardian
+    EventFactory public eventFactory;
+
+    // Address allowed to pause trading and block events
+    address public guardian;
+
+    // Whether ticket purchases and transfers are halted for every event
+    bool public paused;
+
+    // Mapping from event ID to whether trading is halted for that event
+    mapping(uint => bool) public pausedEvents;
+
+    // Mapping from event ID to whether the event has been blocked by moderation
+    mapping(uint => bool) public blockedEvents;
+
+    // Events
+    event GuardianUpdated(address guardian);
+    event Paused(address indexed guardian);
+    event Unpaused(address indexed guardian);
+    event EventPaused(uint indexed eventId, address indexed guardian);
+    event EventUnpaused(uint indexed eventId, address indexed guardian);
+    event EventBlocked(uint indexed eventId, string reason);
+    event EventUnblocked(uint indexed eventId);
+
+    /**
+     * @dev Constructor to initialize the CircuitBreaker with EventFactory.
+     * The deployer is the first guardian.
+     * @param _eventFactoryAddress Address of the EventFactory contract
+     */
+    constructor(address _eventFactoryAddress) {
+        eventFactory = EventFactory(_eventFactoryAddress);
+        guardian = msg.sender;
+    }
+
+    /**
+     * @dev Modifier to check if sender is the guardian
+     */
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "Only the guardian can call this function");
+        _;
+    }
+
+    /**
+     * @dev Appoints a new guardian (only the factory owner can call)
+     * @param _guardian Address of the new guardian
+     */
+    function setGuardian(address _guardian) external {
+        require(
+            msg.sender == eventFactory.owner(),
+            "Only the owner can call this function"
+        );
+        require(_guardian != address(0), "Invalid guardian address");
+
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    /**
+     * @dev Halts ticket purchases and transfers for every event
+     */
+    function pause() external onlyGuardian {
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @dev Resumes ticket purchases and transfers for every event
+     */
+    function unpause() external onlyGuardian {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @dev Halts ticket purchases and transfers for a single event
+     * @param eventId ID of the event
+     */
+    function pauseEvent(uint eventId) external onlyGuardian {
+        pausedEvents[eventId] = true;
+        emit EventPaused(eventId, msg.sender);
+    }
+
+    /**
+     * @dev Resumes ticket purchases and transfers for a single event
+     * @param eventId ID of the event
+     */
+    function unpauseEvent(uint eventId) external onlyGuardian {
+        pausedEvents[eventId] = false;
+        emit EventUnpaused(eventId, msg.sender);
+    }
+
+    /**
+     * @dev Blocks an event. It can no longer sell or transfer tickets and is
+     * hidden from discovery listings. Holders can refund their tickets and
+     * the payees can't withdraw proceeds while the event is blocked.
+     * @param eventId ID of the event
+     * @param reason Reason shown to users
+     */
+    function blockEvent(uint eventId, string calldata reason) external onlyGuardian {
+        require(
+            eventFactory.getEventContract(eventId) != address(0),
+            "Event does not exist"
+        );
+
+        blockedEvents[eventId] = true;
+        emit EventBlocked(eventId, reason);
+    }
+
+    /**
+     * @dev Lifts the block on an event
+     * @param eventId ID of the event
+     */
+    function unblockEvent(uint eventId) external onlyGuardian {
+        blockedEvents[eventId] = false;
+        emit EventUnblocked(eventId);
+    }
+
+    /**
+     * @dev Checks whether ticket purchases and transfers are halted for an event
+     * @param eventId ID of the event
+     * @return Whether trading is paused globally or for the event
+     */
+    function isPaused(uint eventId) external view returns (bool) {
+        return paused || pausedEvents[eventId];
+    }
+}
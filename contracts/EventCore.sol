@@ -1,53 +1,238 @@
 // SPDX-License-Identifier: Unlicense
 pragma solidity ^0.8.18;
 
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./TicketManager.sol";
+import "./CircuitBreaker.sol";
 
 /**
  * @title EventCore
- * @dev Core contract containing event details and ownership
+ * @dev Core contract containing event details and ownership. Prices and
+ * payments are in Ether unless the event is paid in an ERC-20 token.
+ * Each event is an EIP-1167 clone of a shared implementation, set up with
+ * `initialize` rather than a constructor.
  */
-contract EventCore {
+contract EventCore is Initializable {
+    using SafeERC20 for IERC20;
+
+    // Denominator for values expressed in basis points
+    uint public constant BASIS_POINTS = 10000;
+
+    // How long holders can claim a refund after the event is postponed
+    uint public constant POSTPONEMENT_REFUND_PERIOD = 7 days;
+
+    // Roles the organizer can delegate to event managers. Managers never
+    // control funds or the event's details.
+    bytes32 public constant METADATA_ROLE = keccak256("METADATA_ROLE");
+    bytes32 public constant FEATURE_ROLE = keccak256("FEATURE_ROLE");
+    bytes32 public constant CHECK_IN_ROLE = keccak256("CHECK_IN_ROLE");
+
+    // Contract that deployed this event
+    address public factory;
+
     // Event details
     address payable public organizer;
+    address public pendingOrganizer; // Proposed organizer awaiting acceptance
     string public name;
     uint public date;
-    uint public price;
-    uint public ticketCount;
-    uint public ticketRemain;
+    uint public price; // Price of the first tier
+    uint public ticketCount; // Total supply across all tiers
+    uint public ticketRemain; // Remaining tickets across all tiers
+    bool public cancelled;
+
+    // Holders may refund their tickets until this time after a postponement
+    uint public refundDeadline;
+
+    // Ticket tier (e.g. General Admission, VIP, Early Bird)
+    struct TicketTier {
+        string name;
+        uint price;
+        uint supply;
+        uint remaining;
+    }
+
+    // Ticket tiers, indexed by tier ID
+    TicketTier[] public tiers;
+
+    // Window during which tickets can be bought (unix timestamps)
+    uint public saleStart;
+    uint public saleEnd;
+
+    // Step in a tier's price schedule, e.g. an early bird discount
+    struct PriceStep {
+        uint endsAt;
+        uint price;
+    }
+
+    // Price schedule of each tier, ordered by end time
+    // tier ID => price steps
+    mapping(uint => PriceStep[]) public priceSchedules;
+
+    // Managers holding each delegated role
+    // role => account => whether the account holds the role
+    mapping(bytes32 => mapping(address => bool)) public roles;
+
+    // Resale terms, in basis points: the most a seller may charge above face
+    // value, and the organizer's cut of every resale
+    uint public maxResaleMarkupBps;
+    uint public royaltyBps;
+
+    // Whether holders may give tickets away without payment
+    bool public giftingEnabled;
+
+    // Revenue totals: primary ticket sales, fees and royalties from ticket
+    // transfers, refunds paid out and proceeds withdrawn by the payees
+    uint public grossSales;
+    uint public transferFees;
+    uint public totalRefunded;
+    uint public totalWithdrawn;
+
+    // Platform's cut of ticket sales in basis points, fixed when the event
+    // is created, and the platform fees paid out to the treasury so far
+    uint public platformFeeBps;
+    uint public platformFeesWithdrawn;
+
+    // Address sharing the event's revenue and its share in basis points
+    struct Payee {
+        address account;
+        uint shares;
+    }
+
+    // Addresses sharing the event's revenue, e.g. promoter, venue and artist
+    address[] public payees;
+
+    // Mapping from payee to their share of revenue in basis points
+    mapping(address => uint) public payeeShares;
+
+    // Mapping from payee to the amount they have withdrawn
+    mapping(address => uint) public payeeWithdrawn;
+
+    // ERC-20 token tickets are paid in, zero for Ether
+    IERC20 public paymentToken;
 
     // Ticket management contract
     TicketManager public ticketManager;
 
     // Events
     event TicketsManaged(address ticketManager);
+    event TierAdded(uint indexed tierId, string name, uint price, uint supply);
+    event SaleWindowUpdated(uint saleStart, uint saleEnd);
+    event PriceScheduleUpdated(uint indexed tierId, uint steps);
+    event ScannerUpdated(address indexed scanner, bool authorized);
+    event RoleUpdated(bytes32 indexed role, address indexed account, bool granted);
+    event OrganizerProposed(address indexed organizer, address indexed pendingOrganizer);
+    event OrganizerTransferred(address indexed previousOrganizer, address indexed newOrganizer);
+    event ResaleTermsUpdated(uint maxResaleMarkupBps, uint royaltyBps);
+    event GiftingUpdated(bool enabled);
+    event PaymentTokenUpdated(address paymentToken);
+    event NameUpdated(string name);
+    event DateUpdated(uint oldDate, uint newDate);
+    event RefundWindowOpened(uint refundDeadline);
+    event TierPriceUpdated(uint indexed tierId, uint price);
+    event TierSupplyUpdated(uint indexed tierId, uint supply);
+    event PayeeAdded(address indexed payee, uint shares);
+    event PayeeShareTransferred(address indexed from, address indexed to, uint shares);
     event PaymentReceived(address from, uint amount);
+    event PaymentCredited(address indexed payee, uint amount);
     event PaymentForwarded(address to, uint amount);
+    event PlatformFeePaid(address indexed treasury, uint amount);
+    event EventCancelled(uint cancelledAt);
+    event RefundClaimed(
+        address indexed holder,
+        address indexed recipient,
+        uint quantity,
+        uint amount
+    );
+
+    /**
+     * @dev Constructor for the shared implementation. Locks it so only
+     * clones can be initialized.
+     */
+    constructor() {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Constructor for creating a new event
+     * @dev Initializes a newly cloned event
      * @param _organizer Address of the event organizer
      * @param _name Name of the event
      * @param _date Date of the event (unix timestamp)
-     * @param _price Price of each ticket in wei
-     * @param _ticketCount Total number of tickets available
+     * @param _tierNames Names of the ticket tiers
+     * @param _tierPrices Price of a ticket in each tier, in wei or in units
+     * of the payment token
+     * @param _tierSupplies Number of tickets available in each tier
+     * @param _payees Payees sharing the revenue with shares adding up to
+     * 100%, empty to pay everything to the organizer
+     * @param _ticketManagerImplementation TicketManager implementation to clone
      */
-    constructor(
+    function initialize(
         address _organizer,
         string memory _name,
         uint _date,
-        uint _price,
-        uint _ticketCount
-    ) {
+        string[] memory _tierNames,
+        uint[] memory _tierPrices,
+        uint[] memory _tierSupplies,
+        Payee[] memory _payees,
+        address _ticketManagerImplementation
+    ) external initializer {
+        require(_tierNames.length > 0, "At least one tier is required");
+        require(
+            _tierNames.length == _tierPrices.length &&
+                _tierNames.length == _tierSupplies.length,
+            "Tier arrays length mismatch"
+        );
+
+        factory = msg.sender;
         organizer = payable(_organizer);
+
+        // Snapshot the factory's platform fee so later changes don't affect
+        // this event
+        if (msg.sender.code.length > 0) {
+            platformFeeBps = EventFactory(msg.sender).platformFeeBps();
+        }
+
         name = _name;
         date = _date;
-        price = _price;
-        ticketCount = _ticketCount;
-        ticketRemain = _ticketCount;
+        price = _tierPrices[0];
+        saleStart = block.timestamp;
+        saleEnd = _date;
+
+        for (uint i = 0; i < _tierNames.length; i++) {
+            require(_tierSupplies[i] > 0, "Tier supply must be greater than 0");
+
+            tiers.push(
+                TicketTier({
+                    name: _tierNames[i],
+                    price: _tierPrices[i],
+                    supply: _tierSupplies[i],
+                    remaining: _tierSupplies[i]
+                })
+            );
+            ticketCount += _tierSupplies[i];
+            emit TierAdded(i, _tierNames[i], _tierPrices[i], _tierSupplies[i]);
+        }
+        ticketRemain = ticketCount;
+
+        // Split revenue between the payees, or pay it all to the organizer
+        if (_payees.length == 0) {
+            _addPayee(_organizer, BASIS_POINTS);
+        } else {
+            uint totalShares = 0;
+            for (uint i = 0; i < _payees.length; i++) {
+                _addPayee(_payees[i].account, _payees[i].shares);
+                totalShares += _payees[i].shares;
+            }
+            require(
+                totalShares == BASIS_POINTS,
+                "Payee shares must add up to 100%"
+            );
+        }
 
-        // Create a new ticket manager for this event
-        ticketManager = new TicketManager(address(this));
+        // Create a clone of the ticket manager for this event
+        ticketManager = TicketManager(Clones.clone(_ticketManagerImplementation));
+        ticketManager.initialize(address(this));
         emit TicketsManaged(address(ticketManager));
     }
 
@@ -62,32 +247,696 @@ contract EventCore {
         _;
     }
 
+    /**
+     * @dev Adds a payee with a share of the event's revenue
+     * @param payee Address of the payee
+     * @param shares Share of revenue in basis points
+     */
+    function _addPayee(address payee, uint shares) internal {
+        require(payee != address(0), "Invalid payee address");
+        require(shares > 0, "Payee share must be greater than 0");
+        require(payeeShares[payee] == 0, "Duplicate payee");
+
+        payees.push(payee);
+        payeeShares[payee] = shares;
+        emit PayeeAdded(payee, shares);
+    }
+
+    /**
+     * @dev Credits a payment to every payee in proportion to their share
+     * @param amount Amount received
+     */
+    function _creditPayees(uint amount) internal {
+        for (uint i = 0; i < payees.length; i++) {
+            emit PaymentCredited(
+                payees[i],
+                (amount * payeeShares[payees[i]]) / BASIS_POINTS
+            );
+        }
+    }
+
     /**
      * @dev Updates the number of remaining tickets
+     * @param tierId The tier the tickets were sold from
      * @param quantity The number of tickets to decrease
      * @return success Whether the update was successful
      */
     function decreaseTicketRemain(
+        uint tierId,
         uint quantity
     ) external returns (bool success) {
         require(
             msg.sender == address(ticketManager),
             "Only ticket manager can update ticket count"
         );
-        require(ticketRemain >= quantity, "Not enough tickets available");
+        require(tierId < tiers.length, "Tier does not exist");
+        require(
+            tiers[tierId].remaining >= quantity,
+            "Not enough tickets available"
+        );
 
+        tiers[tierId].remaining -= quantity;
         ticketRemain -= quantity;
         return true;
     }
 
+    /**
+     * @dev Receives the payment for a primary ticket sale
+     * @param amount Amount paid, sent as Ether or pulled from the caller's
+     * payment token allowance
+     */
+    function depositSale(uint amount) external payable {
+        require(
+            msg.sender == address(ticketManager),
+            "Only ticket manager can deposit sales"
+        );
+
+        _receivePayment(amount);
+        grossSales += amount;
+        emit PaymentReceived(msg.sender, amount);
+        _creditPayees(amount - getPlatformFee(amount));
+    }
+
+    /**
+     * @dev Receives the payment for a paid ticket transfer. Like a resale, it
+     * pays the platform fee, which is sent to the treasury straight away:
+     * unlike a primary sale, a transfer payment is never refunded.
+     * @param amount Amount paid, sent as Ether or pulled from the caller's
+     * payment token allowance
+     */
+    function depositTransferPayment(uint amount) external payable {
+        _receivePayment(amount);
+        transferFees += amount;
+        emit PaymentReceived(msg.sender, amount);
+
+        uint platformFee = getPlatformFee(amount);
+        if (platformFee > 0) {
+            address treasury = EventFactory(factory).treasury();
+            _sendPayment(treasury, platformFee);
+            emit PlatformFeePaid(treasury, platformFee);
+        }
+        _creditPayees(amount - platformFee);
+    }
+
+    /**
+     * @dev Receives a royalty paid on a resale, which has already paid the
+     * platform fee
+     * @param amount Amount paid, sent as Ether or pulled from the caller's
+     * payment token allowance
+     */
+    function depositTransferFee(uint amount) external payable {
+        _receivePayment(amount);
+        transferFees += amount;
+        emit PaymentReceived(msg.sender, amount);
+        _creditPayees(amount);
+    }
+
+    /**
+     * @dev Sets the ERC-20 token tickets are paid in. Called by the factory
+     * when the event is created, before any tickets are sold.
+     * @param _paymentToken Address of the token, zero for Ether
+     */
+    function setPaymentToken(address _paymentToken) external {
+        require(
+            msg.sender == factory,
+            "Only the factory can set the payment token"
+        );
+        require(ticketManager.nextTokenId() == 0, "Tickets already sold");
+
+        paymentToken = IERC20(_paymentToken);
+        emit PaymentTokenUpdated(_paymentToken);
+    }
+
+    /**
+     * @dev Takes a payment from the caller, either the Ether sent with the
+     * call or the amount in payment tokens
+     * @param amount Amount to take
+     */
+    function _receivePayment(uint amount) internal {
+        if (address(paymentToken) == address(0)) {
+            require(msg.value == amount, "Incorrect payment amount");
+        } else {
+            require(msg.value == 0, "Event is paid in tokens");
+            paymentToken.safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Sends a payment in Ether or in payment tokens
+     * @param to Address to pay
+     * @param amount Amount to send
+     */
+    function _sendPayment(address to, uint amount) internal {
+        if (address(paymentToken) == address(0)) {
+            (bool sent, ) = payable(to).call{value: amount}("");
+            require(sent, "Failed to send payment");
+        } else {
+            paymentToken.safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Gets the balance the event holds in its payment currency
+     * @return Ether or payment token balance
+     */
+    function _balance() internal view returns (uint) {
+        if (address(paymentToken) == address(0)) {
+            return address(this).balance;
+        }
+        return paymentToken.balanceOf(address(this));
+    }
+
+    /**
+     * @dev Sets the window during which tickets can be bought
+     * @param _saleStart Time sales open (unix timestamp)
+     * @param _saleEnd Time sales close (unix timestamp), no later than the event date
+     */
+    function setSaleWindow(
+        uint _saleStart,
+        uint _saleEnd
+    ) external onlyOrganizer {
+        require(_saleStart < _saleEnd, "Sale must start before it ends");
+        require(_saleEnd <= date, "Sale cannot end after the event");
+
+        saleStart = _saleStart;
+        saleEnd = _saleEnd;
+        emit SaleWindowUpdated(_saleStart, _saleEnd);
+    }
+
+    /**
+     * @dev Sets a stepped price schedule for a tier. Each step's price
+     * applies until its end time, after which the tier's base price applies.
+     * Passing empty arrays removes the schedule.
+     * @param tierId ID of the tier
+     * @param endsAt End time of each step, in increasing order
+     * @param prices Price of a ticket during each step
+     */
+    function setPriceSchedule(
+        uint tierId,
+        uint[] calldata endsAt,
+        uint[] calldata prices
+    ) external onlyOrganizer {
+        require(tierId < tiers.length, "Tier does not exist");
+        require(endsAt.length == prices.length, "Schedule arrays length mismatch");
+
+        delete priceSchedules[tierId];
+        for (uint i = 0; i < endsAt.length; i++) {
+            require(
+                i == 0 || endsAt[i] > endsAt[i - 1],
+                "Schedule steps must be in increasing order"
+            );
+            priceSchedules[tierId].push(
+                PriceStep({endsAt: endsAt[i], price: prices[i]})
+            );
+        }
+
+        emit PriceScheduleUpdated(tierId, endsAt.length);
+    }
+
+    /**
+     * @dev Proposes a new organizer. The handover completes once the
+     * proposed address accepts it. Proposing the zero address cancels a
+     * pending handover.
+     * @param newOrganizer Address of the proposed organizer
+     */
+    function proposeOrganizer(address newOrganizer) external onlyOrganizer {
+        require(newOrganizer != organizer, "Already the organizer");
+
+        pendingOrganizer = newOrganizer;
+        emit OrganizerProposed(organizer, newOrganizer);
+    }
+
+    /**
+     * @dev Accepts a proposed organizer handover. The outgoing organizer's
+     * revenue share, if they hold one, moves to the new organizer with the
+     * event, including proceeds it has earned but not yet withdrawn. The
+     * outgoing organizer should withdraw what they are owed before handing
+     * over. Other payees keep their shares.
+     */
+    function acceptOrganizer() external {
+        require(
+            msg.sender == pendingOrganizer,
+            "Only the proposed organizer can accept"
+        );
+
+        address previousOrganizer = organizer;
+        organizer = payable(msg.sender);
+        delete pendingOrganizer;
+        emit OrganizerTransferred(previousOrganizer, msg.sender);
+
+        if (payeeShares[previousOrganizer] > 0) {
+            _movePayeeShare(previousOrganizer, msg.sender);
+        }
+    }
+
+    /**
+     * @dev Moves a payee's share, and what it has withdrawn so far, to
+     * another address. The share is merged into the other address's share
+     * if that address is already a payee.
+     * @param from Address of the payee giving up the share
+     * @param to Address receiving the share
+     */
+    function _movePayeeShare(address from, address to) internal {
+        uint shares = payeeShares[from];
+        bool alreadyPayee = payeeShares[to] > 0;
+
+        payeeShares[to] += shares;
+        payeeWithdrawn[to] += payeeWithdrawn[from];
+        delete payeeShares[from];
+        delete payeeWithdrawn[from];
+
+        for (uint i = 0; i < payees.length; i++) {
+            if (payees[i] == from) {
+                if (alreadyPayee) {
+                    // Keep the remaining payees in order
+                    for (uint j = i; j + 1 < payees.length; j++) {
+                        payees[j] = payees[j + 1];
+                    }
+                    payees.pop();
+                } else {
+                    payees[i] = to;
+                }
+                break;
+            }
+        }
+
+        emit PayeeShareTransferred(from, to, shares);
+    }
+
+    /**
+     * @dev Grants or revokes a delegated role for an event manager
+     * @param role Role to update, e.g. METADATA_ROLE
+     * @param account Address of the manager
+     * @param granted Whether the manager holds the role
+     */
+    function setRole(
+        bytes32 role,
+        address account,
+        bool granted
+    ) external onlyOrganizer {
+        _setRole(role, account, granted);
+    }
+
+    /**
+     * @dev Authorises or revokes a scanner address for venue check-in
+     * @param scanner Address of the scanner
+     * @param authorized Whether the scanner may redeem tickets
+     */
+    function setScanner(address scanner, bool authorized) external onlyOrganizer {
+        _setRole(CHECK_IN_ROLE, scanner, authorized);
+        emit ScannerUpdated(scanner, authorized);
+    }
+
+    /**
+     * @dev Grants or revokes a delegated role
+     * @param role Role to update
+     * @param account Address of the manager
+     * @param granted Whether the manager holds the role
+     */
+    function _setRole(bytes32 role, address account, bool granted) internal {
+        require(account != address(0), "Invalid manager address");
+
+        roles[role][account] = granted;
+        emit RoleUpdated(role, account, granted);
+    }
+
+    /**
+     * @dev Checks whether an address may act in a role. The organizer
+     * holds every role.
+     * @param role Role to check
+     * @param account Address to check
+     * @return Whether the address holds the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return account == organizer || roles[role][account];
+    }
+
+    /**
+     * @dev Checks whether an address may redeem tickets. The organizer
+     * can always check tickets in.
+     * @param account Address to check
+     * @return Whether the address is an authorised scanner
+     */
+    function isScanner(address account) external view returns (bool) {
+        return hasRole(CHECK_IN_ROLE, account);
+    }
+
+    /**
+     * @dev Sets the resale price cap and the organizer royalty on resales
+     * @param _maxResaleMarkupBps Maximum markup over face value in basis points
+     * @param _royaltyBps Organizer's share of each resale in basis points
+     */
+    function setResaleTerms(
+        uint _maxResaleMarkupBps,
+        uint _royaltyBps
+    ) external onlyOrganizer {
+        require(
+            _royaltyBps + platformFeeBps <= BASIS_POINTS,
+            "Royalty cannot exceed 100%"
+        );
+
+        maxResaleMarkupBps = _maxResaleMarkupBps;
+        royaltyBps = _royaltyBps;
+        emit ResaleTermsUpdated(_maxResaleMarkupBps, _royaltyBps);
+    }
+
+    /**
+     * @dev Enables or disables free ticket gifting for the event
+     * @param enabled Whether gifting is allowed
+     */
+    function setGiftingEnabled(bool enabled) external onlyOrganizer {
+        giftingEnabled = enabled;
+        emit GiftingUpdated(enabled);
+    }
+
+    /**
+     * @dev Renames the event
+     * @param _name New name of the event
+     */
+    function setName(string calldata _name) external onlyOrganizer {
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        name = _name;
+        emit NameUpdated(_name);
+    }
+
+    /**
+     * @dev Moves the event to a new date. A sale window that ended on the old
+     * date moves with it. Postponing the event gives holders who can no
+     * longer attend a window in which to refund their tickets.
+     * @param _date New date of the event (unix timestamp)
+     */
+    function setDate(uint _date) external onlyOrganizer {
+        require(!cancelled, "Event has been cancelled");
+        require(block.timestamp < date, "Event has already occurred");
+        require(_date > block.timestamp, "Event date must be in the future");
+
+        uint oldDate = date;
+        date = _date;
+        emit DateUpdated(oldDate, _date);
+
+        if (saleEnd == oldDate || saleEnd > _date) {
+            saleEnd = _date;
+            emit SaleWindowUpdated(saleStart, saleEnd);
+        }
+
+        if (_date > oldDate) {
+            refundDeadline = block.timestamp + POSTPONEMENT_REFUND_PERIOD;
+            emit RefundWindowOpened(refundDeadline);
+        }
+        if (refundDeadline > _date) {
+            refundDeadline = _date;
+        }
+    }
+
+    /**
+     * @dev Changes the price of a ticket in a tier. Tickets already sold
+     * keep the price they were bought for.
+     * @param tierId ID of the tier
+     * @param _price New price of a ticket in the tier
+     */
+    function setTierPrice(uint tierId, uint _price) external onlyOrganizer {
+        require(tierId < tiers.length, "Tier does not exist");
+
+        tiers[tierId].price = _price;
+        if (tierId == 0) {
+            price = _price;
+        }
+        emit TierPriceUpdated(tierId, _price);
+    }
+
+    /**
+     * @dev Changes the number of tickets in a tier, e.g. to release more
+     * seats. The supply can't drop below the number of tickets already sold.
+     * @param tierId ID of the tier
+     * @param supply New number of tickets in the tier
+     */
+    function setTierSupply(uint tierId, uint supply) external onlyOrganizer {
+        require(tierId < tiers.length, "Tier does not exist");
+        require(supply > 0, "Tier supply must be greater than 0");
+
+        TicketTier storage tier = tiers[tierId];
+        uint sold = tier.supply - tier.remaining;
+        require(supply >= sold, "Supply cannot drop below tickets sold");
+
+        ticketCount = ticketCount - tier.supply + supply;
+        ticketRemain = ticketRemain - tier.remaining + (supply - sold);
+        tier.supply = supply;
+        tier.remaining = supply - sold;
+        emit TierSupplyUpdated(tierId, supply);
+    }
+
+    /**
+     * @dev Checks whether holders can currently refund their tickets, either
+     * because the event was cancelled or blocked, or during a postponement
+     * refund window
+     * @return Whether refunds are available
+     */
+    function refundsAvailable() public view returns (bool) {
+        return cancelled || isBlocked() || block.timestamp < refundDeadline;
+    }
+
+    /**
+     * @dev Checks whether the platform's guardian has blocked the event.
+     * Events not created by a factory, or without a circuit breaker, are
+     * never blocked.
+     * @return Whether the event is blocked
+     */
+    function isBlocked() public view returns (bool) {
+        if (factory.code.length == 0) {
+            return false;
+        }
+
+        EventFactory eventFactory = EventFactory(factory);
+        address breakerAddress = eventFactory.circuitBreaker();
+        return
+            breakerAddress != address(0) &&
+            CircuitBreaker(breakerAddress).blockedEvents(
+                eventFactory.eventIds(address(this))
+            );
+    }
+
+    /**
+     * @dev Gets the highest price tickets can be resold for
+     * @param faceValue Combined face value of the tickets
+     * @return Maximum resale price
+     */
+    function getMaxResalePrice(uint faceValue) external view returns (uint) {
+        return (faceValue * (BASIS_POINTS + maxResaleMarkupBps)) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Gets the organizer's royalty on a resale
+     * @param salePrice Price the tickets are resold for
+     * @return Royalty owed to the organizer
+     */
+    function getResaleRoyalty(uint salePrice) external view returns (uint) {
+        return (salePrice * royaltyBps) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Gets the platform's cut of a sale or resale
+     * @param salePrice Price the tickets are sold for
+     * @return Platform fee owed to the treasury
+     */
+    function getPlatformFee(uint salePrice) public view returns (uint) {
+        return (salePrice * platformFeeBps) / BASIS_POINTS;
+    }
+
+    /**
+     * @dev Gets the platform fee earned on primary sales. Sales are only
+     * final once the event has taken place, so nothing is earned before
+     * then, on refunded tickets or on a cancelled or blocked event.
+     * @return Total platform fee earned
+     */
+    function platformFeeEarned() public view returns (uint) {
+        if (cancelled || isBlocked() || block.timestamp < date) {
+            return 0;
+        }
+        return getPlatformFee(grossSales - totalRefunded);
+    }
+
+    /**
+     * @dev Gets the platform fee earned but not yet sent to the treasury.
+     * Blocking an event after the fee was withdrawn leaves nothing owed.
+     * @return Platform fee owed to the treasury
+     */
+    function _platformFeeOwed() internal view returns (uint) {
+        uint earned = platformFeeEarned();
+        return earned > platformFeesWithdrawn ? earned - platformFeesWithdrawn : 0;
+    }
+
+    /**
+     * @dev Sends the platform fee earned so far to the factory's treasury
+     */
+    function withdrawPlatformFee() external {
+        uint amount = _platformFeeOwed();
+        require(amount > 0, "No platform fees to withdraw");
+
+        address treasury = EventFactory(factory).treasury();
+        platformFeesWithdrawn += amount;
+        _sendPayment(treasury, amount);
+        emit PlatformFeePaid(treasury, amount);
+    }
+
+    /**
+     * @dev Cancels the event. Ticket sales and transfers stop and every
+     * holder can claim back what they paid for their tickets.
+     */
+    function cancelEvent() external onlyOrganizer {
+        require(!cancelled, "Event already cancelled");
+        require(block.timestamp < date, "Event has already occurred");
+
+        cancelled = true;
+        emit EventCancelled(block.timestamp);
+    }
+
+    /**
+     * @dev Refunds tickets held by the caller, if the event was cancelled or
+     * postponed and the refund window is still open. Unless the event was
+     * cancelled, the refunded tickets go back on sale in their tiers.
+     * @param tokenIds IDs of the caller's tickets to refund
+     * @param recipient Address that receives the refund
+     * @return amount Amount refunded, in Ether or payment tokens
+     */
+    function claimRefund(
+        uint[] calldata tokenIds,
+        address payable recipient
+    ) external returns (uint amount) {
+        require(refundsAvailable(), "Refunds are not available");
+        require(tokenIds.length > 0, "No tickets specified");
+        require(recipient != address(0), "Invalid recipient address");
+
+        // Burn the tickets and get the price paid for them
+        amount = ticketManager.refundTickets(msg.sender, tokenIds);
+        totalRefunded += amount;
+
+        if (!cancelled) {
+            for (uint i = 0; i < tokenIds.length; i++) {
+                tiers[ticketManager.ticketTiers(tokenIds[i])].remaining++;
+            }
+            ticketRemain += tokenIds.length;
+        }
+
+        _sendPayment(recipient, amount);
+
+        emit RefundClaimed(msg.sender, recipient, tokenIds.length, amount);
+    }
+
+    /**
+     * @dev Gets the amount the payees can currently withdraw between them.
+     * Primary sale proceeds stay in escrow until the event date has passed,
+     * and for good once the event is cancelled. A blocked event is treated
+     * like a cancelled one so holders can be refunded, and withdrawals are
+     * frozen until it is unblocked. The platform fee on the proceeds is set
+     * aside for the treasury.
+     * @return Amount available to the payees
+     */
+    function withdrawableProceeds() public view returns (uint) {
+        uint reserved = _platformFeeOwed();
+        if (cancelled || isBlocked() || block.timestamp < date) {
+            reserved += ticketManager.totalPaid();
+        }
+
+        // Proceeds already paid out before an event was blocked can leave
+        // less than the escrow in the contract
+        uint balance = _balance();
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    /**
+     * @dev Gets the amount a payee can currently withdraw: their share of
+     * all proceeds released so far, less what they have already withdrawn
+     * @param payee Address of the payee
+     * @return Amount available to the payee
+     */
+    function withdrawableBy(address payee) public view returns (uint) {
+        uint released = withdrawableProceeds() + totalWithdrawn;
+        uint earned = (released * payeeShares[payee]) / BASIS_POINTS;
+
+        // Refunds after blocking an event can leave a payee that already
+        // withdrew ahead of their share
+        return earned > payeeWithdrawn[payee] ? earned - payeeWithdrawn[payee] : 0;
+    }
+
+    /**
+     * @dev Sends the caller's withdrawable share of the proceeds to them
+     */
+    function withdraw() external {
+        _withdraw(payable(msg.sender));
+    }
+
+    /**
+     * @dev Sends the caller's withdrawable share of the proceeds to a
+     * payout address of their choice
+     * @param payoutAddress Address to send the proceeds to
+     */
+    function withdrawTo(address payable payoutAddress) external {
+        require(payoutAddress != address(0), "Invalid payout address");
+        _withdraw(payoutAddress);
+    }
+
+    /**
+     * @dev Sends the caller's withdrawable share of the proceeds to an address
+     * @param payoutAddress Address to send the proceeds to
+     */
+    function _withdraw(address payable payoutAddress) internal {
+        require(payeeShares[msg.sender] > 0, "Only a payee can withdraw");
+        require(!isBlocked(), "Event has been blocked");
+
+        uint amount = withdrawableBy(msg.sender);
+        require(amount > 0, "No proceeds to withdraw");
+
+        payeeWithdrawn[msg.sender] += amount;
+        totalWithdrawn += amount;
+        _sendPayment(payoutAddress, amount);
+        emit PaymentForwarded(payoutAddress, amount);
+    }
+
+    /**
+     * @dev Gets the number of payees sharing the event's revenue
+     * @return Number of payees
+     */
+    function getPayeeCount() external view returns (uint) {
+        return payees.length;
+    }
+
+    /**
+     * @dev Gets the event's revenue totals
+     * @return _grossSales Total paid for primary ticket sales
+     * @return _transferFees Total fees and royalties paid on ticket transfers
+     * @return _totalRefunded Total refunded to holders of a cancelled event
+     * @return _totalWithdrawn Total withdrawn by the payees
+     * @return _withdrawable Amount the payees can currently withdraw between them
+     */
+    function getRevenueSummary()
+        external
+        view
+        returns (
+            uint _grossSales,
+            uint _transferFees,
+            uint _totalRefunded,
+            uint _totalWithdrawn,
+            uint _withdrawable
+        )
+    {
+        return (
+            grossSales,
+            transferFees,
+            totalRefunded,
+            totalWithdrawn,
+            withdrawableProceeds()
+        );
+    }
+
     /**
      * @dev Gets event details
      * @return _organizer Address of the event organizer
      * @return _name Name of the event
      * @return _date Date of the event
-     * @return _price Price of each ticket
-     * @return _ticketCount Total number of tickets
-     * @return _ticketRemain Number of remaining tickets
+     * @return _price Price of a ticket in the first tier
+     * @return _ticketCount Total number of tickets across all tiers
+     * @return _ticketRemain Number of remaining tickets across all tiers
      */
     function getEventDetails()
         external
@@ -105,13 +954,72 @@ contract EventCore {
     }
 
     /**
-     * @dev Function to receive Ether
+     * @dev Gets the number of ticket tiers
+     * @return Number of tiers
+     */
+    function getTierCount() external view returns (uint) {
+        return tiers.length;
+    }
+
+    /**
+     * @dev Gets the price a ticket in a tier sells for right now, taking
+     * the tier's price schedule into account
+     * @param tierId ID of the tier
+     * @return Current price of a ticket in the tier
+     */
+    function getCurrentPrice(uint tierId) external view returns (uint) {
+        require(tierId < tiers.length, "Tier does not exist");
+
+        PriceStep[] storage steps = priceSchedules[tierId];
+        for (uint i = 0; i < steps.length; i++) {
+            if (block.timestamp < steps[i].endsAt) {
+                return steps[i].price;
+            }
+        }
+        return tiers[tierId].price;
+    }
+
+    /**
+     * @dev Gets the number of steps in a tier's price schedule
+     * @param tierId ID of the tier
+     * @return Number of price steps
+     */
+    function getPriceScheduleLength(uint tierId) external view returns (uint) {
+        return priceSchedules[tierId].length;
+    }
+
+    /**
+     * @dev Gets the details of a ticket tier
+     * @param tierId ID of the tier
+     * @return _name Name of the tier
+     * @return _price Price of a ticket in the tier
+     * @return _supply Total number of tickets in the tier
+     * @return _remaining Number of tickets left in the tier
+     */
+    function getTierDetails(
+        uint tierId
+    )
+        external
+        view
+        returns (
+            string memory _name,
+            uint _price,
+            uint _supply,
+            uint _remaining
+        )
+    {
+        require(tierId < tiers.length, "Tier does not exist");
+
+        TicketTier storage tier = tiers[tierId];
+        return (tier.name, tier.price, tier.supply, tier.remaining);
+    }
+
+    /**
+     * @dev Function to receive Ether. Payments are held by the contract
+     * until the organizer withdraws them.
      */
     receive() external payable {
+        require(address(paymentToken) == address(0), "Event is paid in tokens");
         emit PaymentReceived(msg.sender, msg.value);
-        // Forward payment to organizer
-        (bool sent, ) = organizer.call{value: msg.value}("");
-        require(sent, "Failed to forward payment to organizer");
-        emit PaymentForwarded(organizer, msg.value);
     }
 }
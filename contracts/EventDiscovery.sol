@@ -1,37 +1,65 @@
 // SPDX-License-Identifier: Unlicense
 pragma solidity ^0.8.18;
 
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
 import "./EventFactory.sol";
 import "./EventCore.sol";
+import "./CircuitBreaker.sol";
+import "./UserTicketHub.sol";
 
 /**
  * @title EventDiscovery
- * @dev Contract for users to discover and filter events
+ * @dev Contract for users to discover and filter events. Deployed behind an
+ * upgradeable proxy, so its storage layout may only be extended.
  */
-contract EventDiscovery {
+contract EventDiscovery is Initializable {
     // Reference to the EventFactory contract
     EventFactory public eventFactory;
 
-    // Event categories
-    enum Category {
-        Music,
-        Sports,
-        Arts,
-        Technology,
-        Business,
-        Other
-    }
+    // Number of built-in categories: Music (0), Sports (1), Arts (2),
+    // Technology (3), Business (4) and Other (5). Categories added by the
+    // platform owner get the IDs after them.
+    uint public constant DEFAULT_CATEGORY_COUNT = 6;
+
+    // Maximum number of additional categories an event can be listed in
+    uint public constant MAX_ADDITIONAL_CATEGORIES = 5;
+
+    // Maximum number of tags per event
+    uint public constant MAX_TAGS = 10;
+
+    // Maximum length of a tag in bytes
+    uint public constant MAX_TAG_LENGTH = 32;
+
+    // Popularity points per ticket held and favorite. A purchase is the
+    // strongest sign of demand; favorites cost nothing.
+    uint public constant TICKET_SALE_WEIGHT = 3;
+    uint public constant FAVORITE_WEIGHT = 2;
 
-    // Event metadata
+    // Event metadata. New fields may only be added at the end.
     struct EventMetadata {
         uint eventId;
-        Category category;
+        uint category; // Primary category ID (an enum before; same slot)
         string location;
         string description;
         string imageHash; // IPFS hash for event image
         uint createdAt;
         bool isFeatured;
-        uint popularity; // Simple popularity metric (can be updated)
+        uint popularity; // No longer written; see getPopularity
+        uint[] additionalCategories; // Other categories the event is listed in
+        string[] tags; // Free-form tags such as "outdoor" or "18+"
+    }
+
+    // Event details and metadata returned together for list views
+    struct EventSummary {
+        uint eventId;
+        address eventContract;
+        string name;
+        uint date;
+        uint price;
+        uint ticketRemain;
+        EventMetadata metadata; // Left empty if no metadata has been added
     }
 
     // Mapping from event ID to its metadata
@@ -43,31 +71,71 @@ contract EventDiscovery {
     // Events by category
     mapping(uint => uint[]) public eventsByCategory;
 
+    // Names of the categories added by the platform owner
+    string[] public customCategoryNames;
+
+    // Events by tag hash
+    mapping(bytes32 => uint[]) public eventsByTag;
+
     // Events
-    event EventMetadataAdded(uint indexed eventId, Category category);
+    event EventMetadataAdded(uint indexed eventId, uint category);
+    event EventMetadataUpdated(uint indexed eventId, uint category);
+    event CategoryAdded(uint indexed categoryId, string name);
+    event EventCategoryAdded(uint indexed eventId, uint indexed categoryId);
+    event EventCategoryRemoved(uint indexed eventId, uint indexed categoryId);
+    event EventTagAdded(uint indexed eventId, string tag);
+    event EventTagRemoved(uint indexed eventId, string tag);
     event EventFeatured(uint indexed eventId);
     event EventUnfeatured(uint indexed eventId);
-    event EventPopularityUpdated(uint indexed eventId, uint newPopularity);
 
     /**
-     * @dev Constructor to initialize the EventDiscovery with EventFactory
+     * @dev Constructor to initialize the EventDiscovery with EventFactory.
+     * Behind a proxy, the proxy calls initialize instead.
      * @param _eventFactoryAddress Address of the EventFactory contract
      */
     constructor(address _eventFactoryAddress) {
+        initialize(_eventFactoryAddress);
+    }
+
+    /**
+     * @dev Initialize the EventDiscovery with EventFactory
+     * @param _eventFactoryAddress Address of the EventFactory contract
+     */
+    function initialize(address _eventFactoryAddress) public initializer {
         eventFactory = EventFactory(_eventFactoryAddress);
     }
 
+    /**
+     * @dev Add a category (only the factory owner can call)
+     * @param name Name of the category
+     * @return categoryId ID of the new category
+     */
+    function addCategory(
+        string calldata name
+    ) external returns (uint categoryId) {
+        require(
+            msg.sender == eventFactory.owner(),
+            "Only the owner can call this function"
+        );
+        require(bytes(name).length > 0, "Category name cannot be empty");
+
+        categoryId = getCategoryCount();
+        customCategoryNames.push(name);
+
+        emit CategoryAdded(categoryId, name);
+    }
+
     /**
      * @dev Add metadata for an event
      * @param eventId ID of the event
-     * @param category Event category
+     * @param category Primary category ID
      * @param location Event location
      * @param description Event description
      * @param imageHash IPFS hash for event image
      */
     function addEventMetadata(
         uint eventId,
-        Category category,
+        uint category,
         string memory location,
         string memory description,
         string memory imageHash
@@ -76,33 +144,168 @@ contract EventDiscovery {
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
 
-        // Get event details to verify organizer
+        // Only the organizer or a metadata manager can add metadata
         EventCore eventCore = EventCore(payable(eventAddress));
-        (address organizer, , , , , ) = eventCore.getEventDetails();
-
-        // Only organizer can add metadata
-        require(msg.sender == organizer, "Only the organizer can add metadata");
+        require(
+            eventCore.hasRole(eventCore.METADATA_ROLE(), msg.sender),
+            "Only the organizer or a metadata manager can add metadata"
+        );
+        require(!_hasMetadata(eventId), "Event metadata already exists");
+        require(category < getCategoryCount(), "Category does not exist");
 
         // Create metadata
-        eventMetadata[eventId] = EventMetadata({
-            eventId: eventId,
-            category: category,
-            location: location,
-            description: description,
-            imageHash: imageHash,
-            createdAt: block.timestamp,
-            isFeatured: false,
-            popularity: 0
-        });
+        EventMetadata storage metadata = eventMetadata[eventId];
+        metadata.eventId = eventId;
+        metadata.category = category;
+        metadata.location = location;
+        metadata.description = description;
+        metadata.imageHash = imageHash;
+        metadata.createdAt = block.timestamp;
 
         // Add to category mapping
-        eventsByCategory[uint(category)].push(eventId);
+        eventsByCategory[category].push(eventId);
 
         emit EventMetadataAdded(eventId, category);
     }
 
     /**
-     * @dev Feature an event (only owner can call)
+     * @dev Update the metadata of an event, moving it to another primary
+     * category if needed. If the new primary category was one of the event's
+     * additional categories, it is no longer counted as additional.
+     * Featuring and tags are left as they are.
+     * @param eventId ID of the event
+     * @param category Primary category ID
+     * @param location Event location
+     * @param description Event description
+     * @param imageHash IPFS hash for event image
+     */
+    function updateEventMetadata(
+        uint eventId,
+        uint category,
+        string memory location,
+        string memory description,
+        string memory imageHash
+    ) external {
+        _requireMetadataManager(eventId);
+        require(category < getCategoryCount(), "Category does not exist");
+
+        EventMetadata storage metadata = eventMetadata[eventId];
+
+        // Move to the new category
+        if (metadata.category != category) {
+            _removeId(eventsByCategory[metadata.category], eventId);
+            if (_containsId(metadata.additionalCategories, category)) {
+                _removeId(metadata.additionalCategories, category);
+            } else {
+                eventsByCategory[category].push(eventId);
+            }
+            metadata.category = category;
+        }
+
+        metadata.location = location;
+        metadata.description = description;
+        metadata.imageHash = imageHash;
+
+        emit EventMetadataUpdated(eventId, category);
+    }
+
+    /**
+     * @dev List an event in a category besides its primary one
+     * @param eventId ID of the event
+     * @param categoryId ID of the category
+     */
+    function addEventCategory(uint eventId, uint categoryId) external {
+        _requireMetadataManager(eventId);
+        require(categoryId < getCategoryCount(), "Category does not exist");
+
+        EventMetadata storage metadata = eventMetadata[eventId];
+        require(
+            metadata.category != categoryId &&
+                !_containsId(metadata.additionalCategories, categoryId),
+            "Event is already in this category"
+        );
+        require(
+            metadata.additionalCategories.length < MAX_ADDITIONAL_CATEGORIES,
+            "Too many categories"
+        );
+
+        metadata.additionalCategories.push(categoryId);
+        eventsByCategory[categoryId].push(eventId);
+
+        emit EventCategoryAdded(eventId, categoryId);
+    }
+
+    /**
+     * @dev Remove an event from one of its additional categories. The primary
+     * category can only be changed through updateEventMetadata.
+     * @param eventId ID of the event
+     * @param categoryId ID of the category
+     */
+    function removeEventCategory(uint eventId, uint categoryId) external {
+        _requireMetadataManager(eventId);
+
+        EventMetadata storage metadata = eventMetadata[eventId];
+        require(
+            _containsId(metadata.additionalCategories, categoryId),
+            "Event is not in this additional category"
+        );
+
+        _removeId(metadata.additionalCategories, categoryId);
+        _removeId(eventsByCategory[categoryId], eventId);
+
+        emit EventCategoryRemoved(eventId, categoryId);
+    }
+
+    /**
+     * @dev Tag an event. Tags are matched exactly, so "Outdoor" and "outdoor"
+     * are different tags.
+     * @param eventId ID of the event
+     * @param tag Tag to add
+     */
+    function addEventTag(uint eventId, string calldata tag) external {
+        _requireMetadataManager(eventId);
+        require(
+            bytes(tag).length > 0 && bytes(tag).length <= MAX_TAG_LENGTH,
+            "Invalid tag length"
+        );
+
+        EventMetadata storage metadata = eventMetadata[eventId];
+        require(
+            _tagIndex(metadata.tags, tag) == type(uint).max,
+            "Event already has this tag"
+        );
+        require(metadata.tags.length < MAX_TAGS, "Too many tags");
+
+        metadata.tags.push(tag);
+        eventsByTag[keccak256(bytes(tag))].push(eventId);
+
+        emit EventTagAdded(eventId, tag);
+    }
+
+    /**
+     * @dev Remove a tag from an event
+     * @param eventId ID of the event
+     * @param tag Tag to remove
+     */
+    function removeEventTag(uint eventId, string calldata tag) external {
+        _requireMetadataManager(eventId);
+
+        string[] storage tags = eventMetadata[eventId].tags;
+        uint index = _tagIndex(tags, tag);
+        require(index != type(uint).max, "Event does not have this tag");
+
+        // Shift the later tags down so the rest keep their order
+        for (uint i = index; i + 1 < tags.length; i++) {
+            tags[i] = tags[i + 1];
+        }
+        tags.pop();
+        _removeId(eventsByTag[keccak256(bytes(tag))], eventId);
+
+        emit EventTagRemoved(eventId, tag);
+    }
+
+    /**
+     * @dev Feature an event (organizer or a feature manager)
      * @param eventId ID of the event to feature
      */
     function featureEvent(uint eventId) external {
@@ -111,20 +314,15 @@ contract EventDiscovery {
         require(eventAddress != address(0), "Event does not exist");
 
         // Verify metadata exists
-        require(
-            eventMetadata[eventId].eventId == eventId,
-            "Event metadata does not exist"
-        );
+        require(_hasMetadata(eventId), "Event metadata does not exist");
 
-        // Get event details to verify organizer
+        // Only the organizer or a feature manager can feature the event
         EventCore eventCore = EventCore(payable(eventAddress));
-        (address organizer, , , , , ) = eventCore.getEventDetails();
-
-        // Only organizer can feature their event
         require(
-            msg.sender == organizer,
-            "Only the organizer can feature this event"
+            eventCore.hasRole(eventCore.FEATURE_ROLE(), msg.sender),
+            "Only the organizer or a feature manager can feature this event"
         );
+        require(block.timestamp < eventCore.date(), "Event has already occurred");
 
         // Mark as featured if not already
         if (!eventMetadata[eventId].isFeatured) {
@@ -143,14 +341,11 @@ contract EventDiscovery {
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
 
-        // Get event details to verify organizer
+        // Only the organizer or a feature manager can unfeature the event
         EventCore eventCore = EventCore(payable(eventAddress));
-        (address organizer, , , , , ) = eventCore.getEventDetails();
-
-        // Only organizer can unfeature their event
         require(
-            msg.sender == organizer,
-            "Only the organizer can unfeature this event"
+            eventCore.hasRole(eventCore.FEATURE_ROLE(), msg.sender),
+            "Only the organizer or a feature manager can unfeature this event"
         );
 
         // Mark as not featured if currently featured
@@ -158,97 +353,565 @@ contract EventDiscovery {
             eventMetadata[eventId].isFeatured = false;
 
             // Remove from featured events array
-            for (uint i = 0; i < featuredEvents.length; i++) {
-                if (featuredEvents[i] == eventId) {
-                    featuredEvents[i] = featuredEvents[
-                        featuredEvents.length - 1
-                    ];
-                    featuredEvents.pop();
-                    break;
-                }
-            }
+            _removeId(featuredEvents, eventId);
 
             emit EventUnfeatured(eventId);
         }
     }
 
     /**
-     * @dev Update event popularity (internal function, called by interaction contract)
+     * @dev Get a page of featured events, leaving out blocked events and
+     * events that have already taken place. The page is taken before
+     * filtering, so each call reads at most `limit` events and a page may
+     * hold fewer than `limit`; the next page starts at `offset + limit`.
+     * @param offset Number of events to skip
+     * @param limit Maximum number of events to return
+     * @return Array of featured event IDs
+     */
+    function getFeaturedEvents(
+        uint offset,
+        uint limit
+    ) external view returns (uint[] memory) {
+        return
+            _filterEvents(
+                _listRange(featuredEvents, offset, limit),
+                block.timestamp + 1,
+                type(uint).max
+            );
+    }
+
+    /**
+     * @dev Get a page of events listed in a category, as their primary or an
+     * additional category, leaving out blocked events. The page is taken
+     * before filtering, as in getFeaturedEvents.
+     * @param category Category ID
+     * @param offset Number of events to skip
+     * @param limit Maximum number of events to return
+     * @return Array of event IDs in the specified category
+     */
+    function getEventsByCategory(
+        uint category,
+        uint offset,
+        uint limit
+    ) external view returns (uint[] memory) {
+        return
+            _filterEvents(
+                _listRange(eventsByCategory[category], offset, limit),
+                0,
+                type(uint).max
+            );
+    }
+
+    /**
+     * @dev Get a page of events with a tag, leaving out blocked events. The
+     * page is taken before filtering, as in getFeaturedEvents.
+     * @param tag Tag to look up
+     * @param offset Number of events to skip
+     * @param limit Maximum number of events to return
+     * @return Array of event IDs with the tag
+     */
+    function getEventsByTag(
+        string calldata tag,
+        uint offset,
+        uint limit
+    ) external view returns (uint[] memory) {
+        return
+            _filterEvents(
+                _listRange(eventsByTag[keccak256(bytes(tag))], offset, limit),
+                0,
+                type(uint).max
+            );
+    }
+
+    /**
+     * @dev Get a page of events in a category sorted by date, earliest first,
+     * leaving out blocked events. Pages follow the order of the category
+     * listing, as in getEventsByCategory, and only the events on a page are
+     * sorted; sorting the whole category on chain would cost gas in
+     * proportion to its size squared.
+     * @param category Category ID
+     * @param upcomingOnly Whether to leave out events that have already taken place
+     * @param offset Number of events to skip
+     * @param limit Maximum number of events to return
+     * @return Array of event IDs in the specified category
+     */
+    function getEventsByCategorySortedByDate(
+        uint category,
+        bool upcomingOnly,
+        uint offset,
+        uint limit
+    ) external view returns (uint[] memory) {
+        return
+            _sortByDate(
+                _filterEvents(
+                    _listRange(eventsByCategory[category], offset, limit),
+                    upcomingOnly ? block.timestamp + 1 : 0,
+                    type(uint).max
+                )
+            );
+    }
+
+    /**
+     * @dev Get the events that have not taken place yet among a range of
+     * event IDs, in order of event ID, leaving out blocked events. The range
+     * is applied before filtering, so each call reads at most `limit` events
+     * and a page may hold fewer than `limit`; the next page starts at
+     * `offset + limit`.
+     * @param offset First event ID to look at
+     * @param limit Number of event IDs to look at
+     * @return Array of event IDs
+     */
+    function getUpcomingEvents(
+        uint offset,
+        uint limit
+    ) external view returns (uint[] memory) {
+        return
+            _filterEvents(
+                _eventIdRange(offset, limit),
+                block.timestamp + 1,
+                type(uint).max
+            );
+    }
+
+    /**
+     * @dev Get the events taking place within a date range among a range of
+     * event IDs, in order of event ID, leaving out blocked events. The range
+     * is applied before filtering, as in getUpcomingEvents.
+     * @param startDate Earliest event date to include (unix timestamp)
+     * @param endDate Latest event date to include (unix timestamp)
+     * @param offset First event ID to look at
+     * @param limit Number of event IDs to look at
+     * @return Array of event IDs
+     */
+    function getEventsInDateRange(
+        uint startDate,
+        uint endDate,
+        uint offset,
+        uint limit
+    ) external view returns (uint[] memory) {
+        require(startDate <= endDate, "Invalid date range");
+
+        return _filterEvents(_eventIdRange(offset, limit), startDate, endDate);
+    }
+
+    /**
+     * @dev Get the most popular events that have not taken place yet among a
+     * range of event IDs, leaving out blocked events and events with no
+     * activity. This ranks only the events in the range, not the whole
+     * platform: a platform-wide top N means scoring every range and merging
+     * the results off chain. Each event in the range is read and scored, so
+     * keep `limit` small enough for the caller's gas limit.
+     * @param offset First event ID to look at
+     * @param limit Number of event IDs to look at
+     * @param count Maximum number of events to return
+     * @return Array of event IDs, most popular first
+     */
+    function getTrendingEventsInRange(
+        uint offset,
+        uint limit,
+        uint count
+    ) external view returns (uint[] memory) {
+        uint[] memory eventIds = _filterEvents(
+            _eventIdRange(offset, limit),
+            block.timestamp + 1,
+            type(uint).max
+        );
+        uint[] memory scores = new uint[](eventIds.length);
+        uint resultCount = 0;
+
+        // Insertion sort by score, highest first, over the events read so
+        // far. Events with the same score stay in order of event ID.
+        for (uint i = 0; i < eventIds.length; i++) {
+            uint eventId = eventIds[i];
+            uint score = getPopularity(eventId);
+            if (score == 0) {
+                continue;
+            }
+
+            uint j = resultCount;
+            while (j > 0 && scores[j - 1] < score) {
+                eventIds[j] = eventIds[j - 1];
+                scores[j] = scores[j - 1];
+                j--;
+            }
+
+            eventIds[j] = eventId;
+            scores[j] = score;
+            resultCount++;
+        }
+
+        return _page(eventIds, 0, resultCount < count ? resultCount : count);
+    }
+
+    /**
+     * @dev Get the popularity score of an event, computed from the tickets
+     * sold by its TicketManager, less refunded tickets, and favorites in the
+     * registered UserTicketHub. Transfers are left out: moving a ticket back
+     * and forth costs nothing and would inflate the score.
      * @param eventId ID of the event
-     * @param newPopularity New popularity score
+     * @return score Popularity score
      */
-    function updateEventPopularity(uint eventId, uint newPopularity) external {
+    function getPopularity(uint eventId) public view returns (uint score) {
+        address eventAddress = eventFactory.getEventContract(eventId);
+        require(eventAddress != address(0), "Event does not exist");
+
+        TicketManager ticketManager = EventCore(payable(eventAddress))
+            .ticketManager();
+        // Refunded tickets are burned, so the supply is sold minus refunded
+        score = ticketManager.totalSupply() * TICKET_SALE_WEIGHT;
+
+        address hubAddress = eventFactory.userTicketHub();
+        if (hubAddress != address(0)) {
+            score +=
+                UserTicketHub(hubAddress).favoriteCounts(eventId) *
+                FAVORITE_WEIGHT;
+        }
+    }
+
+    /**
+     * @dev Get the details and metadata of several events in one call
+     * @param eventIds IDs of the events
+     * @return summaries Summary of each event, in the order requested
+     */
+    function getEventsSummary(
+        uint[] calldata eventIds
+    ) external view returns (EventSummary[] memory summaries) {
+        summaries = new EventSummary[](eventIds.length);
+
+        for (uint i = 0; i < eventIds.length; i++) {
+            address eventAddress = eventFactory.getEventContract(eventIds[i]);
+            require(eventAddress != address(0), "Event does not exist");
+
+            EventSummary memory summary = summaries[i];
+            summary.eventId = eventIds[i];
+            summary.eventContract = eventAddress;
+            (
+                ,
+                summary.name,
+                summary.date,
+                summary.price,
+                ,
+                summary.ticketRemain
+            ) = EventCore(payable(eventAddress)).getEventDetails();
+            summary.metadata = eventMetadata[eventIds[i]];
+            summary.metadata.popularity = getPopularity(eventIds[i]);
+        }
+    }
+
+    /**
+     * @dev Check whether an event has been blocked by the platform's guardian
+     * @param eventId ID of the event
+     * @return Whether the event is blocked
+     */
+    function isEventBlocked(uint eventId) public view returns (bool) {
+        address breakerAddress = eventFactory.circuitBreaker();
+        return
+            breakerAddress != address(0) &&
+            CircuitBreaker(breakerAddress).blockedEvents(eventId);
+    }
+
+    /**
+     * @dev Get the number of categories, built-in and added
+     * @return Count of categories
+     */
+    function getCategoryCount() public view returns (uint) {
+        return DEFAULT_CATEGORY_COUNT + customCategoryNames.length;
+    }
+
+    /**
+     * @dev Get the name of a category
+     * @param categoryId ID of the category
+     * @return Name of the category
+     */
+    function getCategoryName(
+        uint categoryId
+    ) external view returns (string memory) {
+        require(categoryId < getCategoryCount(), "Category does not exist");
+
+        if (categoryId >= DEFAULT_CATEGORY_COUNT) {
+            return customCategoryNames[categoryId - DEFAULT_CATEGORY_COUNT];
+        }
+
+        string[6] memory defaultNames = [
+            "Music",
+            "Sports",
+            "Arts",
+            "Technology",
+            "Business",
+            "Other"
+        ];
+        return defaultNames[categoryId];
+    }
+
+    /**
+     * @dev Get every category an event is listed in
+     * @param eventId ID of the event
+     * @return categoryIds Primary category first, then additional categories
+     */
+    function getEventCategories(
+        uint eventId
+    ) external view returns (uint[] memory categoryIds) {
+        require(_hasMetadata(eventId), "Event metadata does not exist");
+        EventMetadata storage metadata = eventMetadata[eventId];
+
+        categoryIds = new uint[](metadata.additionalCategories.length + 1);
+        categoryIds[0] = metadata.category;
+        for (uint i = 0; i < metadata.additionalCategories.length; i++) {
+            categoryIds[i + 1] = metadata.additionalCategories[i];
+        }
+    }
+
+    /**
+     * @dev Get the tags of an event
+     * @param eventId ID of the event
+     * @return Array of tags
+     */
+    function getEventTags(
+        uint eventId
+    ) external view returns (string[] memory) {
+        return eventMetadata[eventId].tags;
+    }
+
+    /**
+     * @dev Check that an event exists, has metadata and that the sender is
+     * its organizer or a metadata manager
+     * @param eventId ID of the event
+     */
+    function _requireMetadataManager(uint eventId) internal view {
         // Verify event exists
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
+        require(_hasMetadata(eventId), "Event metadata does not exist");
 
-        // Get event details to verify organizer
+        // Only the organizer or a metadata manager can update metadata
         EventCore eventCore = EventCore(payable(eventAddress));
-        (address organizer, , , , , ) = eventCore.getEventDetails();
-
-        // Only organizer can update popularity
         require(
-            msg.sender == organizer,
-            "Only the organizer can update popularity"
+            eventCore.hasRole(eventCore.METADATA_ROLE(), msg.sender),
+            "Only the organizer or a metadata manager can update metadata"
         );
+    }
 
-        eventMetadata[eventId].popularity = newPopularity;
-        emit EventPopularityUpdated(eventId, newPopularity);
+    /**
+     * @dev Check whether metadata has been added for an event
+     * @param eventId ID of the event
+     * @return Whether the event has metadata
+     */
+    function _hasMetadata(uint eventId) internal view returns (bool) {
+        return eventMetadata[eventId].createdAt != 0;
     }
 
     /**
-     * @dev Get featured events
-     * @param count Maximum number of events to return
-     * @return Array of featured event IDs
+     * @dev Remove an ID from a list, shifting the later entries down so the
+     * rest keep their order and pages don't skip or repeat entries
+     * @param ids List of IDs
+     * @param id ID to remove
      */
-    function getFeaturedEvents(
-        uint count
-    ) external view returns (uint[] memory) {
-        uint resultCount = count < featuredEvents.length
-            ? count
-            : featuredEvents.length;
-        uint[] memory result = new uint[](resultCount);
+    function _removeId(uint[] storage ids, uint id) internal {
+        uint length = ids.length;
+        for (uint i = 0; i < length; i++) {
+            if (ids[i] == id) {
+                for (uint j = i; j + 1 < length; j++) {
+                    ids[j] = ids[j + 1];
+                }
+                ids.pop();
+                break;
+            }
+        }
+    }
 
-        for (uint i = 0; i < resultCount; i++) {
-            result[i] = featuredEvents[i];
+    /**
+     * @dev Check whether a list contains an ID
+     * @param ids List of IDs
+     * @param id ID to look for
+     * @return Whether the ID is in the list
+     */
+    function _containsId(
+        uint[] storage ids,
+        uint id
+    ) internal view returns (bool) {
+        for (uint i = 0; i < ids.length; i++) {
+            if (ids[i] == id) {
+                return true;
+            }
         }
+        return false;
+    }
 
-        return result;
+    /**
+     * @dev Find a tag in a list of tags
+     * @param tags List of tags
+     * @param tag Tag to look for
+     * @return Index of the tag, or type(uint).max if it is not in the list
+     */
+    function _tagIndex(
+        string[] storage tags,
+        string calldata tag
+    ) internal view returns (uint) {
+        bytes32 tagHash = keccak256(bytes(tag));
+        for (uint i = 0; i < tags.length; i++) {
+            if (keccak256(bytes(tags[i])) == tagHash) {
+                return i;
+            }
+        }
+        return type(uint).max;
     }
 
     /**
-     * @dev Get events by category
-     * @param category Event category
-     * @param count Maximum number of  events to return
-     * @return Array of event IDs in the specified category
+     * @dev Get the date of an event
+     * @param eventId ID of the event
+     * @return Date of the event (unix timestamp)
      */
-    function getEventsByCategory(
-        Category category,
-        uint count
-    ) external view returns (uint[] memory) {
-        uint[] storage categoryEvents = eventsByCategory[uint(category)];
-        uint resultCount = count < categoryEvents.length
-            ? count
-            : categoryEvents.length;
-        uint[] memory result = new uint[](resultCount);
+    function _eventDate(uint eventId) internal view returns (uint) {
+        return EventCore(payable(eventFactory.getEventContract(eventId))).date();
+    }
 
-        for (uint i = 0; i < resultCount; i++) {
-            result[i] = categoryEvents[i];
+    /**
+     * @dev Get a range of the IDs of events created by the factory
+     * @param offset First event ID
+     * @param limit Maximum number of event IDs
+     * @return eventIds Array of event IDs
+     */
+    function _eventIdRange(
+        uint offset,
+        uint limit
+    ) internal view returns (uint[] memory eventIds) {
+        uint eventCount = eventFactory.nextEventId();
+        if (offset >= eventCount) {
+            return new uint[](0);
+        }
+
+        eventIds = new uint[](
+            eventCount - offset < limit ? eventCount - offset : limit
+        );
+        for (uint i = 0; i < eventIds.length; i++) {
+            eventIds[i] = offset + i;
+        }
+    }
+
+    /**
+     * @dev Copy a range of event IDs from a list in storage, reading only
+     * the IDs in the range
+     * @param eventIds List of event IDs
+     * @param offset Number of events to skip
+     * @param limit Maximum number of events to return
+     * @return result Array of event IDs
+     */
+    function _listRange(
+        uint[] storage eventIds,
+        uint offset,
+        uint limit
+    ) internal view returns (uint[] memory result) {
+        if (offset >= eventIds.length) {
+            return new uint[](0);
+        }
+
+        result = new uint[](
+            eventIds.length - offset < limit ? eventIds.length - offset : limit
+        );
+        for (uint i = 0; i < result.length; i++) {
+            result[i] = eventIds[offset + i];
+        }
+    }
+
+    /**
+     * @dev Keep the events that are not blocked and take place within a
+     * date range
+     * @param eventIds List of event IDs
+     * @param startDate Earliest event date to keep (unix timestamp)
+     * @param endDate Latest event date to keep (unix timestamp)
+     * @return Array of event IDs, in their original order
+     */
+    function _filterEvents(
+        uint[] memory eventIds,
+        uint startDate,
+        uint endDate
+    ) internal view returns (uint[] memory) {
+        uint[] memory found = new uint[](eventIds.length);
+        uint resultCount = 0;
+
+        for (uint i = 0; i < eventIds.length; i++) {
+            if (isEventBlocked(eventIds[i])) {
+                continue;
+            }
+
+            uint date = _eventDate(eventIds[i]);
+            if (date >= startDate && date <= endDate) {
+                found[resultCount] = eventIds[i];
+                resultCount++;
+            }
+        }
+
+        return _page(found, 0, resultCount);
+    }
+
+    /**
+     * @dev Sort event IDs by event date, earliest first. Events on the same
+     * date keep their order.
+     * @param eventIds List of event IDs, sorted in place
+     * @return The sorted list
+     */
+    function _sortByDate(
+        uint[] memory eventIds
+    ) internal view returns (uint[] memory) {
+        uint[] memory dates = new uint[](eventIds.length);
+        for (uint i = 0; i < eventIds.length; i++) {
+            dates[i] = _eventDate(eventIds[i]);
+        }
+
+        // Insertion sort, moving IDs along with their dates
+        for (uint i = 1; i < eventIds.length; i++) {
+            uint eventId = eventIds[i];
+            uint date = dates[i];
+            uint j = i;
+
+            while (j > 0 && dates[j - 1] > date) {
+                eventIds[j] = eventIds[j - 1];
+                dates[j] = dates[j - 1];
+                j--;
+            }
+
+            eventIds[j] = eventId;
+            dates[j] = date;
+        }
+
+        return eventIds;
+    }
+
+    /**
+     * @dev Copy a page of event IDs from a list
+     * @param eventIds List of event IDs
+     * @param offset Number of events to skip
+     * @param limit Maximum number of events to return
+     * @return result Array of event IDs
+     */
+    function _page(
+        uint[] memory eventIds,
+        uint offset,
+        uint limit
+    ) internal pure returns (uint[] memory result) {
+        if (offset >= eventIds.length) {
+            return new uint[](0);
         }
 
-        return result;
+        uint resultCount = eventIds.length - offset < limit
+            ? eventIds.length - offset
+            : limit;
+        result = new uint[](resultCount);
+        for (uint i = 0; i < resultCount; i++) {
+            result[i] = eventIds[offset + i];
+        }
     }
 
     /**
      * @dev Get event metadata
      * @param eventId ID of the event
-     * @return category Event category
+     * @return category Primary category ID
      * @return location Event location
      * @return description Event description
      * @return imageHash IPFS hash for event image
      * @return createdAt Timestamp when metadata was created
      * @return isFeatured Whether the event is featured
-     * @return popularity Event popularity score
+     * @return popularity Event popularity score, see getPopularity
      */
     function getEventMetadata(
         uint eventId
@@ -256,7 +919,7 @@ contract EventDiscovery {
         external
         view
         returns (
-            Category category,
+            uint category,
             string memory location,
             string memory description,
             string memory imageHash,
@@ -265,8 +928,8 @@ contract EventDiscovery {
             uint popularity
         )
     {
-        EventMetadata memory metadata = eventMetadata[eventId];
-        require(metadata.eventId == eventId, "Event metadata does not exist");
+        require(_hasMetadata(eventId), "Event metadata does not exist");
+        EventMetadata storage metadata = eventMetadata[eventId];
 
         return (
             metadata.category,
@@ -275,18 +938,132 @@ contract EventDiscovery {
             metadata.imageHash,
             metadata.createdAt,
             metadata.isFeatured,
-            metadata.popularity
+            getPopularity(eventId)
         );
     }
 
     /**
-     * @dev Get total number of events by category
-     * @param category Event category
+     * @dev Build the ERC-721 token metadata for a ticket of an event
+     * @param eventId ID of the event
+     * @param tokenId ID of the ticket
+     * @return Base64-encoded JSON data URI
+     */
+    function getTicketURI(
+        uint eventId,
+        uint tokenId
+    ) external view returns (string memory) {
+        address eventAddress = eventFactory.getEventContract(eventId);
+        require(eventAddress != address(0), "Event does not exist");
+
+        EventCore eventCore = EventCore(payable(eventAddress));
+        (, string memory eventName, uint eventDate, , , ) = eventCore
+            .getEventDetails();
+        (string memory tierName, , , ) = eventCore.getTierDetails(
+            eventCore.ticketManager().ticketTiers(tokenId)
+        );
+
+        // Metadata fields are left empty if the organizer has not added any.
+        // Organizer-supplied text is escaped so it can't break the JSON.
+        EventMetadata storage metadata = eventMetadata[eventId];
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"',
+            _escapeJson(eventName),
+            " #",
+            Strings.toString(tokenId),
+            '","description":"',
+            _escapeJson(metadata.description),
+            '","image":"ipfs://',
+            _escapeJson(metadata.imageHash),
+            '","attributes":[{"trait_type":"Location","value":"',
+            _escapeJson(metadata.location),
+            '"},{"trait_type":"Tier","value":"',
+            _escapeJson(tierName),
+            '"},{"trait_type":"Date","display_type":"date","value":',
+            Strings.toString(eventDate),
+            "}]}"
+        );
+
+        return
+            string(
+                abi.encodePacked(
+                    "data:application/json;base64,",
+                    Base64.encode(json)
+                )
+            );
+    }
+
+    /**
+     * @dev Escape a string for use inside a JSON string value: quotes and
+     * backslashes get a backslash, control characters become \u00XX
+     * @param value String to escape
+     * @return Escaped string
+     */
+    function _escapeJson(
+        string memory value
+    ) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        uint extraLength = 0;
+        for (uint i = 0; i < input.length; i++) {
+            if (input[i] == '"' || input[i] == "\\") {
+                extraLength += 1;
+            } else if (uint8(input[i]) < 0x20) {
+                extraLength += 5;
+            }
+        }
+        if (extraLength == 0) {
+            return value;
+        }
+
+        bytes16 hexDigits = "0123456789abcdef";
+        bytes memory output = new bytes(input.length + extraLength);
+        uint j = 0;
+        for (uint i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = hexDigits[uint8(char) >> 4];
+                output[j++] = hexDigits[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+
+    /**
+     * @dev Get total number of featured events, including blocked and past events
+     * @return Count of featured events
+     */
+    function getFeaturedEventCount() external view returns (uint) {
+        return featuredEvents.length;
+    }
+
+    /**
+     * @dev Get total number of events by category, including blocked events
+     * @param category Category ID
      * @return Count of events in the category
      */
     function getCategoryEventCount(
-        Category category
+        uint category
+    ) external view returns (uint) {
+        return eventsByCategory[category].length;
+    }
+
+    /**
+     * @dev Get total number of events with a tag, including blocked events
+     * @param tag Tag to look up
+     * @return Count of events with the tag
+     */
+    function getTagEventCount(
+        string calldata tag
     ) external view returns (uint) {
-        return eventsByCategory[uint(category)].length;
+        return eventsByTag[keccak256(bytes(tag))].length;
     }
 }
@@ -1,20 +1,52 @@
 // SPDX-License-Identifier: UNLICENSED
 pragma solidity ^0.8.18;
 
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
 import "./EventCore.sol";
 
 /**
  * @title EventFactory
- * @dev Contract for creating new events
+ * @dev Contract for creating new events. Events and their ticket managers
+ * are EIP-1167 clones of separately deployed implementations, which keeps
+ * creating an event cheap. The factory is deployed behind an
+ * upgradeable proxy; new state variables must be added after the existing
+ * ones.
  */
 
-contract EventFactory {
+contract EventFactory is Initializable {
+    // Denominator for values expressed in basis points
+    uint public constant BASIS_POINTS = 10000;
+
     uint public nextEventId;
     address public owner;
+    address public pendingOwner; // Proposed owner awaiting acceptance
+
+    //platform's cut of ticket sales and resales in basis points, snapshotted by each event at creation
+    uint public platformFeeBps;
+
+    //address that receives the platform fees
+    address public treasury;
 
     //mapping to tract deployed event contracts
     mapping(uint => address) public eventContracts;
 
+    //reverse mapping from event contract to its event ID
+    mapping(address => uint) public eventIds;
+
+    //discovery contract holding event metadata, used for ticket token URIs
+    address public eventDiscovery;
+
+    //hub allowed to move tickets on holders' behalf and notified of every ticket movement
+    address public userTicketHub;
+
+    //emergency controls the guardian uses to halt ticket trading and block events
+    address public circuitBreaker;
+
+    //implementations cloned for each new event and its ticket manager, set when each version of the factory is deployed
+    address public immutable eventCoreImplementation;
+    address public immutable ticketManagerImplementation;
+
     //events
     event EventCreated(
         uint indexed eventId,
@@ -22,13 +54,60 @@ contract EventFactory {
         address indexed organizer,
         string name
     );
+    event EventDiscoveryUpdated(address eventDiscovery);
+    event UserTicketHubUpdated(address userTicketHub);
+    event CircuitBreakerUpdated(address circuitBreaker);
+    event PlatformFeeUpdated(uint platformFeeBps);
+    event TreasuryUpdated(address treasury);
+    event OwnershipTransferProposed(address indexed owner, address indexed pendingOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @dev Sets the implementations events are cloned from. They are deployed
+     * on their own rather than by this constructor, so their code doesn't
+     * count towards the factory's EIP-3860 init code size limit. A factory
+     * deployed on its own is ready to use; behind a proxy, the proxy calls
+     * initialize.
+     * @param _eventCoreImplementation Address of the EventCore implementation
+     * @param _ticketManagerImplementation Address of the TicketManager implementation
+     */
+
+    constructor(
+        address _eventCoreImplementation,
+        address _ticketManagerImplementation
+    ) {
+        require(
+            _eventCoreImplementation.code.length > 0,
+            "EventCore implementation is not a contract"
+        );
+        require(
+            _ticketManagerImplementation.code.length > 0,
+            "TicketManager implementation is not a contract"
+        );
+        eventCoreImplementation = _eventCoreImplementation;
+        ticketManagerImplementation = _ticketManagerImplementation;
+        initialize();
+    }
+
+    /**
+     * @dev Makes the caller the owner and treasury
+     */
 
-    constructor() {
+    function initialize() public initializer {
         owner = msg.sender;
+        treasury = msg.sender;
     }
 
     /**
-     * @dev Created a new event contract
+     * @dev Modifier to check if sender is the owner
+     */
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only the owner can call this function");
+        _;
+    }
+
+    /**
+     * @dev Created a new event contract with a single ticket tier
      * @param name name of the event
      * @param date Date of the event (unix timetamp)
      * @param price Price of the event
@@ -42,21 +121,225 @@ contract EventFactory {
         uint price,
         uint ticketCount
     ) external returns (uint eventId) {
-        require(date > block.timestamp, "Event date must be in the future");
+        return
+            _createSingleTierEvent(
+                name,
+                date,
+                price,
+                ticketCount,
+                new EventCore.Payee[](0),
+                address(0)
+            );
+    }
+
+    /**
+     * @dev Created a new event contract with a single ticket tier and its
+     * revenue split between several payees
+     * @param name name of the event
+     * @param date Date of the event (unix timetamp)
+     * @param price Price of the event
+     * @param ticketCount Total number of tickets available
+     * @param payees Payees sharing the event's revenue, with shares in basis points adding up to 100%
+     * @return eventId ID of the newly created event
+     */
+
+    function createEventWithPayees(
+        string calldata name,
+        uint date,
+        uint price,
+        uint ticketCount,
+        EventCore.Payee[] calldata payees
+    ) external returns (uint eventId) {
+        return
+            _createSingleTierEvent(
+                name,
+                date,
+                price,
+                ticketCount,
+                payees,
+                address(0)
+            );
+    }
+
+    /**
+     * @dev Created a new event contract with a single ticket tier, paid in
+     * an ERC-20 token instead of Ether
+     * @param name name of the event
+     * @param date Date of the event (unix timetamp)
+     * @param price Price of the event in units of the payment token
+     * @param ticketCount Total number of tickets available
+     * @param paymentToken ERC-20 token tickets are paid in
+     * @return eventId ID of the newly created event
+     */
+
+    function createEventWithToken(
+        string calldata name,
+        uint date,
+        uint price,
+        uint ticketCount,
+        address paymentToken
+    ) external returns (uint eventId) {
+        require(paymentToken != address(0), "Invalid payment token");
+
+        return
+            _createSingleTierEvent(
+                name,
+                date,
+                price,
+                ticketCount,
+                new EventCore.Payee[](0),
+                paymentToken
+            );
+    }
+
+    /**
+     * @dev Created a new event contract with several ticket tiers
+     * @param name name of the event
+     * @param date Date of the event (unix timetamp)
+     * @param tierNames Names of the ticket tiers
+     * @param tierPrices Price of a ticket in each tier
+     * @param tierSupplies Number of tickets available in each tier
+     * @return eventId ID of the newly created event
+     */
+
+    function createEventWithTiers(
+        string calldata name,
+        uint date,
+        string[] calldata tierNames,
+        uint[] calldata tierPrices,
+        uint[] calldata tierSupplies
+    ) external returns (uint eventId) {
+        return
+            _createEvent(
+                name,
+                date,
+                tierNames,
+                tierPrices,
+                tierSupplies,
+                new EventCore.Payee[](0),
+                address(0)
+            );
+    }
+
+    /**
+     * @dev Created a new event contract with several ticket tiers and its
+     * revenue split between several payees
+     * @param name name of the event
+     * @param date Date of the event (unix timetamp)
+     * @param tierNames Names of the ticket tiers
+     * @param tierPrices Price of a ticket in each tier
+     * @param tierSupplies Number of tickets available in each tier
+     * @param payees Payees sharing the event's revenue, with shares in basis points adding up to 100%
+     * @param paymentToken ERC-20 token tickets are paid in, zero for Ether
+     * @return eventId ID of the newly created event
+     */
+
+    function createEventWithTiersAndPayees(
+        string calldata name,
+        uint date,
+        string[] calldata tierNames,
+        uint[] calldata tierPrices,
+        uint[] calldata tierSupplies,
+        EventCore.Payee[] calldata payees,
+        address paymentToken
+    ) external returns (uint eventId) {
+        return
+            _createEvent(
+                name,
+                date,
+                tierNames,
+                tierPrices,
+                tierSupplies,
+                payees,
+                paymentToken
+            );
+    }
+
+    /**
+     * @dev Creates an event with a single "General Admission" tier
+     * @param name name of the event
+     * @param date Date of the event (unix timetamp)
+     * @param price Price of the event
+     * @param ticketCount Total number of tickets available
+     * @param payees Payees sharing the event's revenue, empty for the organizer alone
+     * @param paymentToken ERC-20 token tickets are paid in, zero for Ether
+     * @return eventId ID of the newly created event
+     */
+
+    function _createSingleTierEvent(
+        string memory name,
+        uint date,
+        uint price,
+        uint ticketCount,
+        EventCore.Payee[] memory payees,
+        address paymentToken
+    ) internal returns (uint eventId) {
         require(ticketCount > 0, "Ticket count must be greater than 0");
 
+        string[] memory tierNames = new string[](1);
+        uint[] memory tierPrices = new uint[](1);
+        uint[] memory tierSupplies = new uint[](1);
+        tierNames[0] = "General Admission";
+        tierPrices[0] = price;
+        tierSupplies[0] = ticketCount;
+
+        return
+            _createEvent(
+                name,
+                date,
+                tierNames,
+                tierPrices,
+                tierSupplies,
+                payees,
+                paymentToken
+            );
+    }
+
+    /**
+     * @dev Clones, initializes and registers a new event contract
+     * @param name name of the event
+     * @param date Date of the event (unix timetamp)
+     * @param tierNames Names of the ticket tiers
+     * @param tierPrices Price of a ticket in each tier
+     * @param tierSupplies Number of tickets available in each tier
+     * @param payees Payees sharing the event's revenue, empty for the organizer alone
+     * @param paymentToken ERC-20 token tickets are paid in, zero for Ether
+     * @return eventId ID of the newly created event
+     */
+
+    function _createEvent(
+        string memory name,
+        uint date,
+        string[] memory tierNames,
+        uint[] memory tierPrices,
+        uint[] memory tierSupplies,
+        EventCore.Payee[] memory payees,
+        address paymentToken
+    ) internal returns (uint eventId) {
+        require(date > block.timestamp, "Event date must be in the future");
+
         //Create new event contract
-        EventCore newEvent = new EventCore(
+        EventCore newEvent = EventCore(
+            payable(Clones.clone(eventCoreImplementation))
+        );
+        newEvent.initialize(
             msg.sender,
             name,
             date,
-            price,
-            ticketCount
+            tierNames,
+            tierPrices,
+            tierSupplies,
+            payees,
+            ticketManagerImplementation
         );
+        if (paymentToken != address(0)) {
+            newEvent.setPaymentToken(paymentToken);
+        }
 
         //Store the event contract address
         eventId = nextEventId;
         eventContracts[eventId] = address(newEvent);
+        eventIds[address(newEvent)] = eventId;
 
         //increment the event ID counter
         nextEventId++;
@@ -67,6 +350,85 @@ contract EventFactory {
         return eventId;
     }
 
+    /**
+     * @dev Sets the discovery contract used to build ticket metadata
+     * @param _eventDiscovery Address of the EventDiscovery contract
+     */
+
+    function setEventDiscovery(address _eventDiscovery) external onlyOwner {
+        eventDiscovery = _eventDiscovery;
+        emit EventDiscoveryUpdated(_eventDiscovery);
+    }
+
+    /**
+     * @dev Sets the hub that manages tickets on users' behalf
+     * @param _userTicketHub Address of the UserTicketHub contract
+     */
+
+    function setUserTicketHub(address _userTicketHub) external onlyOwner {
+        userTicketHub = _userTicketHub;
+        emit UserTicketHubUpdated(_userTicketHub);
+    }
+
+    /**
+     * @dev Sets the circuit breaker that can halt ticket trading
+     * @param _circuitBreaker Address of the CircuitBreaker contract
+     */
+
+    function setCircuitBreaker(address _circuitBreaker) external onlyOwner {
+        circuitBreaker = _circuitBreaker;
+        emit CircuitBreakerUpdated(_circuitBreaker);
+    }
+
+    /**
+     * @dev Sets the platform fee taken on sales and resales of events
+     * created from now on. Existing events keep the fee they were created with.
+     * @param _platformFeeBps Platform fee in basis points
+     */
+
+    function setPlatformFee(uint _platformFeeBps) external onlyOwner {
+        require(_platformFeeBps <= BASIS_POINTS, "Platform fee cannot exceed 100%");
+
+        platformFeeBps = _platformFeeBps;
+        emit PlatformFeeUpdated(_platformFeeBps);
+    }
+
+    /**
+     * @dev Sets the address that receives the platform fees
+     * @param _treasury Address of the treasury
+     */
+
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+
+        treasury = _treasury;
+        emit TreasuryUpdated(_treasury);
+    }
+
+    /**
+     * @dev Proposes a new owner. The transfer completes once the proposed
+     * address accepts it. Proposing the zero address cancels a pending transfer.
+     * @param newOwner Address of the proposed owner
+     */
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferProposed(owner, newOwner);
+    }
+
+    /**
+     * @dev Accepts a proposed ownership transfer
+     */
+
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "Only the proposed owner can accept");
+
+        address previousOwner = owner;
+        owner = msg.sender;
+        delete pendingOwner;
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
     /**
      * @dev Gets an event contract address by event ID
      * @param eventId ID of the event
@@ -76,4 +438,26 @@ contract EventFactory {
     function getEventContract(uint eventId) external view returns (address) {
         return eventContracts[eventId];
     }
+
+    /**
+     * @dev Gets a page of event contract addresses, in order of event ID
+     * @param offset ID of the first event to return
+     * @param limit Maximum number of events to return
+     * @return page Event contract addresses
+     */
+
+    function getEventContracts(
+        uint offset,
+        uint limit
+    ) external view returns (address[] memory page) {
+        if (offset >= nextEventId) {
+            return new address[](0);
+        }
+
+        uint count = nextEventId - offset < limit ? nextEventId - offset : limit;
+        page = new address[](count);
+        for (uint i = 0; i < count; i++) {
+            page[i] = eventContracts[offset + i];
+        }
+    }
 }
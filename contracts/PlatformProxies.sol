@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.18;
+
+// EventFactory, EventDiscovery and UserTicketHub are deployed behind
+// transparent upgradeable proxies, administered by a ProxyAdmin whose owner
+// is the upgrade authority. Importing them here makes Hardhat compile them
+// for scripts/deploy.js and the tests.
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
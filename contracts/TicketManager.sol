@@ -1,96 +1,614 @@
 // SPDX-License-Identifier: Unlicense
 pragma solidity ^0.8.18;
 
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./EventCore.sol";
+import "./EventFactory.sol";
+import "./EventDiscovery.sol";
+import "./UserTicketHub.sol";
+import "./CircuitBreaker.sol";
 
 /**
  * @title TicketManager
- * @dev Contract for managing tickets, including buying and transferring
+ * @dev Contract for managing tickets, including buying and transferring.
+ * Every ticket is an individually numbered ERC-721 token, and this contract
+ * is the only record of who holds which ticket. The UserTicketHub registered
+ * with the event's factory acts on holders' behalf and is told about every
+ * ticket movement so its user profiles stay in sync. Each event's ticket
+ * manager is an EIP-1167 clone of a shared implementation.
  */
-contract TicketManager {
+contract TicketManager is ERC721Enumerable, EIP712, Initializable {
+    using SafeERC20 for IERC20;
+
+    // EIP-712 type of the message a holder signs to check a ticket in
+    bytes32 public constant CHECK_IN_TYPEHASH =
+        keccak256("CheckIn(uint256 tokenId,uint256 deadline)");
+
     // Reference to the associated event contract
     EventCore public eventCore;
 
-    // Mapping to track ticket ownership
-    mapping(address => uint) public tickets;
+    // ID of the next ticket to be minted
+    uint public nextTokenId;
+
+    // Mapping from ticket ID to the tier it was sold from
+    mapping(uint => uint) public ticketTiers;
+
+    // Mapping from ticket ID to the price paid for it
+    mapping(uint => uint) public ticketPricePaid;
+
+    // Total paid for all tickets currently held, kept in escrow by the event
+    uint public totalPaid;
+
+    // Mapping from ticket ID to whether it has been used at the venue
+    mapping(uint => bool) public redeemed;
 
     // Events
-    event TicketsPurchased(address indexed buyer, uint quantity);
+    event TicketsPurchased(
+        address indexed buyer,
+        uint indexed tierId,
+        uint quantity
+    );
     event TicketsTransferred(
         address indexed from,
         address indexed to,
         uint quantity,
         uint amount
     );
+    event TicketsGifted(address indexed from, address indexed to, uint quantity);
+    event TicketsRefunded(address indexed holder, uint quantity, uint amount);
+    event OverpaymentRefunded(address indexed payer, uint amount);
+    event TicketRedeemed(
+        uint indexed tokenId,
+        address indexed holder,
+        address indexed scanner
+    );
+
+    /**
+     * @dev Constructor for the shared implementation. Locks it so only
+     * clones can be initialized.
+     */
+    constructor() ERC721("Event Ticket", "TICKET") EIP712("TicketManager", "1") {
+        _disableInitializers();
+    }
 
     /**
-     * @dev Constructor to initialize the ticket manager with an event
+     * @dev Initializes a newly cloned ticket manager with its event
      * @param _eventCore Address of the associated event contract
      */
-    constructor(address _eventCore) {
+    function initialize(address _eventCore) external initializer {
         eventCore = EventCore(payable(_eventCore));
     }
 
+    /**
+     * @dev Gets the token collection symbol. Clones don't run the ERC721
+     * constructor, so it is not read from storage.
+     * @return Symbol of the token collection
+     */
+    function symbol() public pure override returns (string memory) {
+        return "TICKET";
+    }
+
     /**
      * @dev Allows a user to buy tickets
+     * @param tierId ID of the ticket tier to buy from
      * @param quantity Number of tickets to buy
+     * @return firstTokenId ID of the first ticket minted, the rest follow sequentially
      */
-    function buyTicket(uint quantity) external payable {
-        // Get event details
-        (, , uint eventDate, uint ticketPrice, , ) = eventCore
-            .getEventDetails();
+    function buyTicket(
+        uint tierId,
+        uint quantity
+    ) external payable returns (uint firstTokenId) {
+        return _buyTicket(msg.sender, tierId, quantity);
+    }
 
-        // Validate event and payment
+    /**
+     * @dev Allows a user to buy tickets for an event paid in an ERC-20
+     * token, approving the payment with an EIP-2612 permit signature
+     * @param tierId ID of the ticket tier to buy from
+     * @param quantity Number of tickets to buy
+     * @param deadline Time after which the permit is no longer valid
+     * @param v Recovery byte of the permit signature
+     * @param r First half of the permit signature
+     * @param s Second half of the permit signature
+     * @return firstTokenId ID of the first ticket minted, the rest follow sequentially
+     */
+    function buyTicketWithPermit(
+        uint tierId,
+        uint quantity,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint firstTokenId) {
+        address token = address(eventCore.paymentToken());
+        require(token != address(0), "Event is paid in Ether");
+
+        SafeERC20.safePermit(
+            IERC20Permit(token),
+            msg.sender,
+            address(this),
+            eventCore.getCurrentPrice(tierId) * quantity,
+            deadline,
+            v,
+            r,
+            s
+        );
+        return _buyTicket(msg.sender, tierId, quantity);
+    }
+
+    /**
+     * @dev Allows a user to buy tickets that are issued to another address
+     * @param recipient Address the tickets are issued to
+     * @param tierId ID of the ticket tier to buy from
+     * @param quantity Number of tickets to buy
+     * @return firstTokenId ID of the first ticket minted, the rest follow sequentially
+     */
+    function buyTicketFor(
+        address recipient,
+        uint tierId,
+        uint quantity
+    ) external payable returns (uint firstTokenId) {
+        require(recipient != address(0), "Invalid recipient address");
+        return _buyTicket(recipient, tierId, quantity);
+    }
+
+    /**
+     * @dev Sells tickets to the caller and issues them to the recipient
+     * @param recipient Address the tickets are issued to
+     * @param tierId ID of the ticket tier to buy from
+     * @param quantity Number of tickets to buy
+     * @return firstTokenId ID of the first ticket minted, the rest follow sequentially
+     */
+    function _buyTicket(
+        address recipient,
+        uint tierId,
+        uint quantity
+    ) internal returns (uint firstTokenId) {
+        // Get event details and the tier's current price
+        (, , uint eventDate, , , ) = eventCore.getEventDetails();
+        uint ticketPrice = eventCore.getCurrentPrice(tierId);
+
+        // Validate event, sale window and payment
+        require(!eventCore.cancelled(), "Event has been cancelled");
         require(block.timestamp < eventDate, "Event has already occurred");
-        require(msg.value >= ticketPrice * quantity, "Insufficient Ether sent");
+        require(
+            block.timestamp >= eventCore.saleStart(),
+            "Ticket sales have not started"
+        );
+        require(block.timestamp < eventCore.saleEnd(), "Ticket sales have ended");
+        uint value = _pullPayment(ticketPrice * quantity, "Insufficient Ether sent");
 
         // Update ticket count in event contract
-        bool success = eventCore.decreaseTicketRemain(quantity);
+        bool success = eventCore.decreaseTicketRemain(tierId, quantity);
         require(success, "Failed to update ticket count");
 
-        // Update buyer's ticket count
-        tickets[msg.sender] += quantity;
+        // Mint the recipient's tickets, recording the price paid for each so
+        // it can be refunded if the event is cancelled
+        firstTokenId = nextTokenId;
+        for (uint i = 0; i < quantity; i++) {
+            ticketTiers[nextTokenId] = tierId;
+            ticketPricePaid[nextTokenId] = ticketPrice;
+            _mint(recipient, nextTokenId);
+            nextTokenId++;
+        }
+        totalPaid += ticketPrice * quantity;
 
         // Transfer payment to the event contract
-        (bool sent, ) = payable(address(eventCore)).call{value: msg.value}("");
-        require(sent, "Failed to send Ether");
+        eventCore.depositSale{value: value}(ticketPrice * quantity);
+
+        // Return anything sent above the ticket price
+        _refundOverpayment(ticketPrice * quantity);
 
         // Emit event
-        emit TicketsPurchased(msg.sender, quantity);
+        emit TicketsPurchased(recipient, tierId, quantity);
     }
 
     /**
      * @dev Allows the current owner to transfer tickets to another address
-     * @param quantity Number of tickets to transfer
+     * @param tokenIds IDs of the tickets to transfer
      * @param to Address to transfer tickets to
      */
-    function transferTicket(uint quantity, address to) external payable {
+    function transferTicket(
+        uint[] calldata tokenIds,
+        address to
+    ) external payable {
         // Get event details
-        (, , uint eventDate, uint ticketPrice, , ) = eventCore.getEventDetails();
+        (, , uint eventDate, , , ) = eventCore.getEventDetails();
 
         // Validate event date and transfer
+        require(!eventCore.cancelled(), "Event has been cancelled");
         require(block.timestamp < eventDate, "Event has already occurred");
         require(msg.sender != address(0), "Invalid sender address");
         require(to != address(0), "Cannot transfer to zero address");
         require(msg.sender != to, "Sender and recipient cannot be the same");
-        require(tickets[msg.sender] >= quantity, "Insufficient tickets owned");
+        require(tokenIds.length > 0, "No tickets specified");
 
         // Calculate the total amount for the transfer
-        uint transferAmount = ticketPrice * quantity;
+        uint transferAmount = getTicketsPrice(tokenIds);
 
         // Validate payment from recipient
-        require(msg.value >= transferAmount, "Insufficient payment from recipient");
+        uint value = _pullPayment(
+            transferAmount,
+            "Insufficient payment from recipient"
+        );
 
-        // Transfer the payment to the event contract
-        (bool sent, ) = payable(address(eventCore)).call{value: transferAmount}("");
-        require(sent, "Failed to transfer payment to event contract");
+        // Transfer the payment to the event contract, which takes the
+        // platform fee
+        eventCore.depositTransferPayment{value: value}(transferAmount);
 
-        // Update ticket counts
-        tickets[msg.sender] -= quantity;
-        tickets[to] += quantity;
+        // Move the tickets
+        for (uint i = 0; i < tokenIds.length; i++) {
+            require(
+                _ownerOf(tokenIds[i]) == msg.sender,
+                "Ticket not owned by sender"
+            );
+            _transfer(msg.sender, to, tokenIds[i]);
+        }
+
+        // Return anything sent above the transfer amount
+        _refundOverpayment(transferAmount);
 
         // Emit event with payment information
-        emit TicketsTransferred(msg.sender, to, quantity, msg.value);
+        emit TicketsTransferred(msg.sender, to, tokenIds.length, transferAmount);
+    }
+
+    /**
+     * @dev Allows the current owner to give tickets away without payment,
+     * if the organizer has enabled gifting
+     * @param tokenIds IDs of the tickets to give
+     * @param to Address to give the tickets to
+     */
+    function giftTickets(uint[] calldata tokenIds, address to) external {
+        // Get event details
+        (, , uint eventDate, , , ) = eventCore.getEventDetails();
+
+        // Validate event date and gift
+        require(!eventCore.cancelled(), "Event has been cancelled");
+        require(block.timestamp < eventDate, "Event has already occurred");
+        require(eventCore.giftingEnabled(), "Gifting is disabled for this event");
+        require(to != address(0), "Cannot transfer to zero address");
+        require(msg.sender != to, "Sender and recipient cannot be the same");
+        require(tokenIds.length > 0, "No tickets specified");
+
+        // Move the tickets
+        for (uint i = 0; i < tokenIds.length; i++) {
+            require(
+                _ownerOf(tokenIds[i]) == msg.sender,
+                "Ticket not owned by sender"
+            );
+            _transfer(msg.sender, to, tokenIds[i]);
+        }
+
+        emit TicketsGifted(msg.sender, to, tokenIds.length);
+    }
+
+    /**
+     * @dev Marks tickets as used at the venue. Redeemed tickets can no
+     * longer be transferred.
+     * @param tokenIds IDs of the tickets to redeem
+     */
+    function redeemTickets(uint[] calldata tokenIds) external {
+        _redeemTickets(msg.sender, tokenIds);
+    }
+
+    /**
+     * @dev Marks tickets as used at the venue on behalf of a scanner. Only
+     * the registered hub can redeem for a scanner.
+     * @param scanner Address of the scanner checking the tickets in
+     * @param tokenIds IDs of the tickets to redeem
+     */
+    function redeemTicketsFor(
+        address scanner,
+        uint[] calldata tokenIds
+    ) external {
+        require(
+            msg.sender == ticketHub(),
+            "Only the ticket hub can redeem for a scanner"
+        );
+        _redeemTickets(scanner, tokenIds);
+    }
+
+    /**
+     * @dev Marks tickets as used, if the scanner holds the event's check-in role
+     * @param scanner Address of the scanner checking the tickets in
+     * @param tokenIds IDs of the tickets to redeem
+     */
+    function _redeemTickets(
+        address scanner,
+        uint[] calldata tokenIds
+    ) internal {
+        require(
+            eventCore.isScanner(scanner),
+            "Only an authorised scanner can redeem tickets"
+        );
+        require(!eventCore.cancelled(), "Event has been cancelled");
+
+        // Tickets reserved for a pending offer stay unused until the offer is
+        // accepted, cancelled or expires, so acceptance can't fail
+        address hub = ticketHub();
+        uint eventId = hub == address(0)
+            ? 0
+            : EventFactory(eventCore.factory()).eventIds(address(eventCore));
+
+        for (uint i = 0; i < tokenIds.length; i++) {
+            address holder = _ownerOf(tokenIds[i]);
+            require(holder != address(0), "Ticket does not exist");
+            require(!redeemed[tokenIds[i]], "Ticket already redeemed");
+            require(
+                hub == address(0) ||
+                    !UserTicketHub(hub).isTicketEscrowed(eventId, tokenIds[i]),
+                "Ticket is reserved for a pending transfer"
+            );
+
+            redeemed[tokenIds[i]] = true;
+            emit TicketRedeemed(tokenIds[i], holder, scanner);
+        }
+    }
+
+    /**
+     * @dev Recovers the address that signed an EIP-712 check-in message for
+     * a ticket. Scanners compare it with the ticket's holder off-chain and
+     * redeem checked-in tickets later in a single batch.
+     * @param tokenId ID of the ticket
+     * @param deadline Time after which the signature is no longer accepted
+     * @param signature Holder's signature over the CheckIn message
+     * @return Address that signed the message
+     */
+    function checkInSigner(
+        uint tokenId,
+        uint deadline,
+        bytes calldata signature
+    ) public view returns (address) {
+        require(block.timestamp <= deadline, "Check-in signature expired");
+
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(CHECK_IN_TYPEHASH, tokenId, deadline))
+        );
+        return ECDSA.recover(digest, signature);
+    }
+
+    /**
+     * @dev Checks a signed check-in against the ticket's current holder
+     * @param tokenId ID of the ticket
+     * @param deadline Time after which the signature is no longer accepted
+     * @param signature Holder's signature over the CheckIn message
+     * @return Whether the ticket is unused and the signer holds it
+     */
+    function verifyCheckIn(
+        uint tokenId,
+        uint deadline,
+        bytes calldata signature
+    ) external view returns (bool) {
+        return
+            !redeemed[tokenId] &&
+            _ownerOf(tokenId) != address(0) &&
+            checkInSigner(tokenId, deadline, signature) == _ownerOf(tokenId);
+    }
+
+    /**
+     * @dev Gets the combined face value of a set of tickets, each priced at
+     * what it was originally bought for. Later price changes don't affect
+     * tickets already sold. Each ticket may only be listed once, so a
+     * repeated ID can't inflate the price of a resale or transfer.
+     * @param tokenIds IDs of the tickets
+     * @return total Sum of the ticket prices
+     */
+    function getTicketsPrice(
+        uint[] memory tokenIds
+    ) public view returns (uint total) {
+        for (uint i = 0; i < tokenIds.length; i++) {
+            for (uint j = 0; j < i; j++) {
+                require(tokenIds[j] != tokenIds[i], "Duplicate ticket ID");
+            }
+            total += ticketPricePaid[tokenIds[i]];
+        }
+    }
+
+    /**
+     * @dev Burns tickets of a cancelled event so they can be refunded
+     * @param holder Address claiming the refund, either the ticket holder or
+     * an operator acting for them
+     * @param tokenIds IDs of the tickets to refund
+     * @return amount The price paid for the refunded tickets
+     */
+    function refundTickets(
+        address holder,
+        uint[] calldata tokenIds
+    ) external returns (uint amount) {
+        require(
+            msg.sender == address(eventCore),
+            "Only the event contract can refund tickets"
+        );
+
+        for (uint i = 0; i < tokenIds.length; i++) {
+            require(
+                _exists(tokenIds[i]) && _isApprovedOrOwner(holder, tokenIds[i]),
+                "Ticket not owned by holder"
+            );
+            amount += ticketPricePaid[tokenIds[i]];
+            delete ticketPricePaid[tokenIds[i]];
+            _burn(tokenIds[i]);
+        }
+        totalPaid -= amount;
+
+        emit TicketsRefunded(holder, tokenIds.length, amount);
+    }
+
+    /**
+     * @dev Gets the IDs of all tickets held by an address
+     * @param owner The address to check
+     * @return tokenIds Array of ticket IDs
+     */
+    function getTicketIds(
+        address owner
+    ) external view returns (uint[] memory tokenIds) {
+        tokenIds = new uint[](balanceOf(owner));
+        for (uint i = 0; i < tokenIds.length; i++) {
+            tokenIds[i] = tokenOfOwnerByIndex(owner, i);
+        }
+    }
+
+    /**
+     * @dev Gets the UserTicketHub registered with the event's factory. Zero
+     * for events not created by a factory or when no hub is registered.
+     * @return Address of the hub
+     */
+    function ticketHub() public view returns (address) {
+        address factoryAddress = eventCore.factory();
+        if (factoryAddress.code.length == 0) {
+            return address(0);
+        }
+        return EventFactory(factoryAddress).userTicketHub();
+    }
+
+    /**
+     * @dev Treats the registered hub as an approved operator for every
+     * holder, so it can move tickets on their behalf
+     */
+    function isApprovedForAll(
+        address owner,
+        address operator
+    ) public view override(ERC721, IERC721) returns (bool) {
+        address hub = ticketHub();
+        return
+            (hub != address(0) && operator == hub) ||
+            super.isApprovedForAll(owner, operator);
+    }
+
+    /**
+     * @dev Only the registered hub can use the standard ERC-721 transfers.
+     * Holders move tickets with transferTicket, giftTickets or through the
+     * hub, so every move follows the event's payment, gifting and date rules.
+     */
+    function transferFrom(
+        address from,
+        address to,
+        uint tokenId
+    ) public override(ERC721, IERC721) {
+        require(
+            msg.sender == ticketHub(),
+            "Use transferTicket, giftTickets or the ticket hub to move tickets"
+        );
+        super.transferFrom(from, to, tokenId);
+    }
+
+    /**
+     * @dev Only the registered hub can use the standard ERC-721 transfers,
+     * see transferFrom
+     */
+    function safeTransferFrom(
+        address from,
+        address to,
+        uint tokenId,
+        bytes memory data
+    ) public override(ERC721, IERC721) {
+        require(
+            msg.sender == ticketHub(),
+            "Use transferTicket, giftTickets or the ticket hub to move tickets"
+        );
+        super.safeTransferFrom(from, to, tokenId, data);
+    }
+
+    /**
+     * @dev Blocks transfers of redeemed tickets, and mints and transfers
+     * while the event is paused or blocked. Burning is always allowed so
+     * holders can still be refunded.
+     */
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint firstTokenId,
+        uint batchSize
+    ) internal override {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+
+        if (from != address(0) && to != address(0)) {
+            require(!redeemed[firstTokenId], "Ticket already redeemed");
+        }
+        if (to != address(0)) {
+            _requireTradingOpen();
+        }
+    }
+
+    /**
+     * @dev Checks the circuit breaker registered with the event's factory.
+     * Events not created by a factory, or without a circuit breaker, are
+     * never halted.
+     */
+    function _requireTradingOpen() internal view {
+        address factoryAddress = eventCore.factory();
+        if (factoryAddress.code.length == 0) {
+            return;
+        }
+
+        EventFactory factory = EventFactory(factoryAddress);
+        address breakerAddress = factory.circuitBreaker();
+        if (breakerAddress == address(0)) {
+            return;
+        }
+
+        CircuitBreaker breaker = CircuitBreaker(breakerAddress);
+        uint eventId = factory.eventIds(address(eventCore));
+        require(!breaker.blockedEvents(eventId), "Event has been blocked");
+        require(!breaker.isPaused(eventId), "Ticket trading is paused");
+    }
+
+    /**
+     * @dev Reports every mint, transfer and burn to the registered hub
+     */
+    function _afterTokenTransfer(
+        address from,
+        address to,
+        uint firstTokenId,
+        uint batchSize
+    ) internal override {
+        super._afterTokenTransfer(from, to, firstTokenId, batchSize);
+
+        address hub = ticketHub();
+        if (hub != address(0)) {
+            UserTicketHub(hub).onTicketTransfer(from, to, firstTokenId);
+        }
+    }
+
+    /**
+     * @dev Takes a payment from the caller so it can be deposited with the
+     * event contract. Ether must be sent with the call; payment tokens are
+     * pulled from the caller's allowance and approved for the event contract.
+     * @param amount Amount the call costs
+     * @param insufficientMessage Revert reason when too little Ether is sent
+     * @return value Ether to forward with the deposit
+     */
+    function _pullPayment(
+        uint amount,
+        string memory insufficientMessage
+    ) internal returns (uint value) {
+        IERC20 token = eventCore.paymentToken();
+        if (address(token) == address(0)) {
+            require(msg.value >= amount, insufficientMessage);
+            return amount;
+        }
+
+        require(msg.value == 0, "Event is paid in tokens");
+        token.safeTransferFrom(msg.sender, address(this), amount);
+        token.forceApprove(address(eventCore), amount);
+        return 0;
+    }
+
+    /**
+     * @dev Sends any Ether above the required amount back to the caller
+     * @param requiredAmount Amount of Ether the call actually costs
+     */
+    function _refundOverpayment(uint requiredAmount) internal {
+        if (msg.value > requiredAmount) {
+            uint excess = msg.value - requiredAmount;
+            (bool sent, ) = payable(msg.sender).call{value: excess}("");
+            require(sent, "Failed to refund overpayment");
+            emit OverpaymentRefunded(msg.sender, excess);
+        }
     }
 
     /**
@@ -99,6 +617,44 @@ contract TicketManager {
      * @return The number of tickets owned
      */
     function getTicketBalance(address owner) external view returns (uint) {
-        return tickets[owner];
+        return balanceOf(owner);
+    }
+
+    /**
+     * @dev Gets the token collection name, which is the event name
+     * @return Name of the event
+     */
+    function name() public view override returns (string memory) {
+        return eventCore.name();
+    }
+
+    /**
+     * @dev Gets the token metadata for a ticket, built from the event's
+     * EventDiscovery metadata. Empty for events not created by a factory or
+     * when no discovery contract is registered.
+     * @param tokenId ID of the ticket
+     * @return Data URI with the ticket's JSON metadata
+     */
+    function tokenURI(
+        uint tokenId
+    ) public view override returns (string memory) {
+        _requireMinted(tokenId);
+
+        address factoryAddress = eventCore.factory();
+        if (factoryAddress.code.length == 0) {
+            return "";
+        }
+
+        EventFactory factory = EventFactory(factoryAddress);
+        address discoveryAddress = factory.eventDiscovery();
+        if (discoveryAddress == address(0)) {
+            return "";
+        }
+
+        return
+            EventDiscovery(discoveryAddress).getTicketURI(
+                factory.eventIds(address(eventCore)),
+                tokenId
+            );
     }
 }
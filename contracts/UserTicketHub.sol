@@ -1,18 +1,32 @@
 // SPDX-License-Identifier: Unlicense
 pragma solidity ^0.8.18;
 
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./EventCore.sol";
 import "./TicketManager.sol";
 import "./EventFactory.sol";
 
 /**
  * @title UserTicketHub
- * @dev Central contract for users to manage their ticket purchases and interactions
+ * @dev Central contract for users to manage their ticket purchases and interactions.
+ * Tickets are held by users directly in each event's TicketManager, which is
+ * the single ownership ledger. The hub must be registered with the
+ * EventFactory so it can move tickets on users' behalf and is notified of
+ * every ticket movement, whichever contract it goes through.
+ * Events paid in an ERC-20 token take payment from the user's allowance to
+ * the hub instead of Ether.
+ * The hub sits behind an upgradeable proxy. Keep its storage layout
+ * append-only so profiles and pending transfers survive upgrades.
  */
 
-contract UserTicketHub {
-    // Contract Owner
-    address public owner;
+contract UserTicketHub is Initializable {
+    using SafeERC20 for IERC20;
+
+    // Formerly the hub's owner, which was never used: the EventFactory owner
+    // governs the platform and registers the hub. Kept so the storage
+    // layout doesn't shift.
+    address private _unusedOwner;
 
     // reference to EventFactory contract
     EventFactory public eventFactory;
@@ -32,19 +46,48 @@ contract UserTicketHub {
     // Mapping from user address to their favorite events
     mapping(address => mapping(uint => bool)) public favoriteEvents;
 
-    // Mapping to track user purchased tickets across all events
-    // user address => eventId => ticketCount
-    mapping(address => mapping(uint => uint)) public userTickets;
-
     // Add a new mapping to track pending transfers
     mapping(address => mapping(uint => mapping(address => uint))) public pendingTransfers; // from => eventId => to => quantity
 
+    // Details of a pending transfer offer
+    struct TransferOffer {
+        uint[] tokenIds;
+        uint askingPrice;
+        uint expiresAt;
+    }
+
+    // Offer behind each pending transfer
+    mapping(address => mapping(uint => mapping(address => TransferOffer))) internal transferOffers; // from => eventId => to => offer
+
+    // Identifies a pending transfer
+    struct PendingTransfer {
+        address from;
+        address to;
+        uint eventId;
+    }
+
+    // Pending transfers each user has sent and received
+    mapping(address => PendingTransfer[]) internal outgoingTransfers;
+    mapping(address => PendingTransfer[]) internal incomingTransfers;
+
+    // Mapping from ticket ID to the pending transfer it is reserved for
+    // eventId => ticket ID => pending transfer
+    mapping(uint => mapping(uint => PendingTransfer)) internal ticketEscrows;
+
+    // Mapping from event ID to the number of users who favorited it
+    mapping(uint => uint) public favoriteCounts;
+
+    // Favorites included in favoriteCounts. Favorites made before counts
+    // were kept are not, and must not be taken off the count.
+    mapping(address => mapping(uint => bool)) internal countedFavorites; // user => eventId => counted
+
     // Events
     event UserRegistered(address indexed user, string userName);
     event ProfileUpdated(address indexed user, string userName);
     event TicketsPurchased(
         address indexed user,
         uint indexed eventId,
+        uint indexed tierId,
         uint quantity
     );
     event TicketsTransferred(
@@ -61,14 +104,56 @@ contract UserTicketHub {
         uint indexed eventId,
         uint quantity
     );
+    event TicketsGifted(
+        address indexed from,
+        address indexed to,
+        uint indexed eventId,
+        uint quantity
+    );
+    event TransferCancelled(
+        address indexed from,
+        address indexed to,
+        uint indexed eventId
+    );
+    event TransferDeclined(
+        address indexed from,
+        address indexed to,
+        uint indexed eventId
+    );
+    event ResalePaymentSplit(
+        address indexed seller,
+        uint indexed eventId,
+        uint sellerAmount,
+        uint royaltyAmount,
+        uint platformFee
+    );
+    event OverpaymentRefunded(
+        address indexed payer,
+        uint indexed eventId,
+        uint amount
+    );
+    event RefundClaimed(
+        address indexed user,
+        uint indexed eventId,
+        uint quantity,
+        uint amount
+    );
 
     /**
-     * @dev Constructor to initialize the UserTicketHub with EventFactory
+     * @dev Constructor to initialize the UserTicketHub with EventFactory.
+     * Behind a proxy, the proxy calls initialize instead.
      * @param _eventFactoryAddress Address of the EventFactory contract
      */
 
     constructor(address _eventFactoryAddress) {
-        owner = msg.sender;
+        initialize(_eventFactoryAddress);
+    }
+
+    /**
+     * @dev Initialize the UserTicketHub with EventFactory
+     * @param _eventFactoryAddress Address of the EventFactory contract
+     */
+    function initialize(address _eventFactoryAddress) public initializer {
         eventFactory = EventFactory(_eventFactoryAddress);
     }
 
@@ -87,13 +172,11 @@ contract UserTicketHub {
             "User already registered"
         );
 
-        userProfiles[msg.sender] = UserProfile({
-            userName: userName,
-            email: email,
-            isRegistered: true,
-            totalTicketsOwned: 0,
-            attendingEvents: new uint[](0)
-        });
+        // Ticket counts are tracked for every holder, so keep any tickets
+        // received before registering
+        userProfiles[msg.sender].userName = userName;
+        userProfiles[msg.sender].email = email;
+        userProfiles[msg.sender].isRegistered = true;
 
         emit UserRegistered(msg.sender, userName);
     }
@@ -118,116 +201,199 @@ contract UserTicketHub {
     /**
      * @dev Buy tickets for an event
      * @param eventId ID of the event to buy tickets for
+     * @param tierId ID of the ticket tier to buy from
+     * @param quantity Number of tickets to buy
+     */
+
+    function buyTickets(uint eventId, uint tierId, uint quantity) external payable {
+        _buyTickets(eventId, tierId, quantity);
+    }
+
+    /**
+     * @dev Buy tickets for an event paid in an ERC-20 token, approving the
+     * payment with an EIP-2612 permit signature
+     * @param eventId ID of the event to buy tickets for
+     * @param tierId ID of the ticket tier to buy from
      * @param quantity Number of tickets to buy
+     * @param deadline Time after which the permit is no longer valid
+     * @param v Recovery byte of the permit signature
+     * @param r First half of the permit signature
+     * @param s Second half of the permit signature
      */
 
-    function buyTickets(uint eventId, uint quantity) external payable {
+    function buyTicketsWithPermit(
+        uint eventId,
+        uint tierId,
+        uint quantity,
+        uint deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        address eventAddress = eventFactory.getEventContract(eventId);
+        require(eventAddress != address(0), "Event does not exist");
+
+        EventCore eventCore = EventCore(payable(eventAddress));
+        address token = address(eventCore.paymentToken());
+        require(token != address(0), "Event is paid in Ether");
+
+        SafeERC20.safePermit(
+            IERC20Permit(token),
+            msg.sender,
+            address(this),
+            eventCore.getCurrentPrice(tierId) * quantity,
+            deadline,
+            v,
+            r,
+            s
+        );
+        _buyTickets(eventId, tierId, quantity);
+    }
+
+    /**
+     * @dev Buy tickets for an event, paid in Ether or the event's payment token
+     * @param eventId ID of the event to buy tickets for
+     * @param tierId ID of the ticket tier to buy from
+     * @param quantity Number of tickets to buy
+     */
+    function _buyTickets(uint eventId, uint tierId, uint quantity) internal {
         // get the event contract address
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
 
-        // get the event details
+        // get the event and tier details
         EventCore eventCore = EventCore(payable(eventAddress));
-        (, , uint eventDate, uint ticketPrice, , uint ticketRemain) = eventCore
-            .getEventDetails();
+        (, , uint eventDate, , , ) = eventCore.getEventDetails();
+        (, , , uint ticketRemain) = eventCore.getTierDetails(tierId);
+        uint ticketPrice = eventCore.getCurrentPrice(tierId);
 
-        // Validate event and payment
+        // Validate event, sale window and payment
         require(block.timestamp < eventDate, "Event has already occurred");
+        require(
+            block.timestamp >= eventCore.saleStart(),
+            "Ticket sales have not started"
+        );
+        require(block.timestamp < eventCore.saleEnd(), "Ticket sales have ended");
         require(ticketRemain >= quantity, "Not enough tickets available");
-        require(msg.value >= ticketPrice * quantity, "Insufficient Ether sent");
+        _pullPayment(eventCore, ticketPrice * quantity, "Insufficient Ether sent");
 
         // Get the ticket manager address and contract
         TicketManager ticketManager = eventCore.ticketManager();
 
-        // Purchase the tickets through the TicketManager
-        ticketManager.buyTicket{value: msg.value}(quantity);
-
-        // Update user profile records
-        userTickets[msg.sender][eventId] += quantity;
-        userProfiles[msg.sender].totalTicketsOwned += quantity;
-
-        // Add the event to the user's attending list if not already there
-        bool eventFound = false;
-        for (
-            uint i = 0;
-            i < userProfiles[msg.sender].attendingEvents.length;
-            i++
-        ) {
-            if (userProfiles[msg.sender].attendingEvents[i] == eventId) {
-                eventFound = true;
-                break;
-            }
-        }
+        // Purchase the tickets through the TicketManager, issued straight to
+        // the user. The profile is updated when the TicketManager reports the mint.
+        ticketManager.buyTicketFor{
+            value: _forwardPayment(
+                eventCore,
+                address(ticketManager),
+                ticketPrice * quantity
+            )
+        }(msg.sender, tierId, quantity);
 
-        if (!eventFound) {
-            userProfiles[msg.sender].attendingEvents.push(eventId);
-        }
+        // Return anything sent above the ticket price
+        _refundOverpayment(eventId, ticketPrice * quantity);
 
-        emit TicketsPurchased(msg.sender, eventId, quantity);
+        emit TicketsPurchased(msg.sender, eventId, tierId, quantity);
     }
 
     /**
      * @dev Transfer tickets to another user
      * @param eventId ID of the event
      * @param to Address to transfer tickets to
-     * @param quantity Number of tickets to transfer
+     * @param tokenIds IDs of the tickets to transfer
      */
-    function transferTickets(uint eventId, address to, uint quantity) external payable {
+    function transferTickets(uint eventId, address to, uint[] calldata tokenIds) external payable {
+        uint quantity = tokenIds.length;
+        EventCore eventCore = _checkTransfer(eventId, to, quantity);
+        TicketManager ticketManager = eventCore.ticketManager();
+
+        uint transferAmount = ticketManager.getTicketsPrice(tokenIds);
+
+        // Validate payment from recipient
+        _pullPayment(eventCore, transferAmount, "Insufficient payment from recipient");
+
+        // Send the payment to the event contract, which takes the platform fee
+        eventCore.depositTransferPayment{
+            value: _forwardPayment(eventCore, address(eventCore), transferAmount)
+        }(transferAmount);
+
+        _moveTickets(msg.sender, to, eventId, ticketManager, tokenIds);
+
+        // Return anything sent above the transfer amount
+        _refundOverpayment(eventId, transferAmount);
+
+        emit TicketsTransferred(msg.sender, to, eventId, quantity);
+    }
+
+    /**
+     * @dev Give tickets to another user without payment, if the organizer
+     * has enabled gifting for the event
+     * @param eventId ID of the event
+     * @param to Address to give the tickets to
+     * @param tokenIds IDs of the tickets to give
+     */
+    function giftTickets(uint eventId, address to, uint[] calldata tokenIds) external {
+        uint quantity = tokenIds.length;
+        EventCore eventCore = _checkTransfer(eventId, to, quantity);
+
+        // Check whether the organizer allows gifts
+        require(eventCore.giftingEnabled(), "Gifting is disabled for this event");
+
+        _moveTickets(msg.sender, to, eventId, eventCore.ticketManager(), tokenIds);
+
+        emit TicketsGifted(msg.sender, to, eventId, quantity);
+    }
+
+    /**
+     * @dev Checks shared by every way of moving tickets to another user: the
+     * recipient, the sender's transferable tickets and the event's state.
+     * Tickets to a cancelled event can only be refunded, so they can't be
+     * offered or moved either.
+     * @param eventId ID of the event
+     * @param to Address receiving the tickets
+     * @param quantity Number of tickets being moved
+     * @return eventCore The event's contract
+     */
+    function _checkTransfer(
+        uint eventId,
+        address to,
+        uint quantity
+    ) private view returns (EventCore eventCore) {
         require(to != address(0), "Cannot transfer to zero address");
         require(to != msg.sender, "Cannot transfer to yourself");
+        require(quantity > 0, "No tickets specified");
         require(
-            userTickets[msg.sender][eventId] >= quantity,
+            getTransferableTicketCount(msg.sender, eventId) >= quantity,
             "Insufficient tickets owned"
         );
 
-        // Get the event and ticket manager contracts
+        // Get the event contract
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
+        eventCore = EventCore(payable(eventAddress));
 
-        EventCore eventCore = EventCore(payable(eventAddress));
-        TicketManager ticketManager = eventCore.ticketManager();
-
-        // Get event details to calculate transfer amount
-        (, , uint eventDate, uint ticketPrice, , ) = eventCore.getEventDetails();
+        (, , uint eventDate, , , ) = eventCore.getEventDetails();
+        require(!eventCore.cancelled(), "Event has been cancelled");
         require(block.timestamp < eventDate, "Event has already occurred");
-        uint transferAmount = ticketPrice * quantity;
-
-        // Validate payment from recipient
-        require(msg.value >= transferAmount, "Insufficient payment from recipient");
-
-        // Transfer the tickets using the TicketManager
-        ticketManager.transferTicket{value: msg.value}(quantity, to);
-
-        // Update user records
-        userTickets[msg.sender][eventId] -= quantity;
-        userTickets[to][eventId] += quantity;
-
-        userProfiles[msg.sender].totalTicketsOwned -= quantity;
+    }
 
-        // If recipient is registered, update their total count
-        if (userProfiles[to].isRegistered) {
-            userProfiles[to].totalTicketsOwned += quantity;
-            
-            // Add the event to the recipient's attending list if not already there
-            bool eventFound = false;
-            for (uint i = 0; i < userProfiles[to].attendingEvents.length; i++) {
-                if (userProfiles[to].attendingEvents[i] == eventId) {
-                    eventFound = true;
-                    break;
-                }
-            }
+    /**
+     * @dev Claim a refund for all of the caller's tickets to a cancelled event
+     * @param eventId ID of the cancelled event
+     */
+    function claimRefund(uint eventId) external {
+        address eventAddress = eventFactory.getEventContract(eventId);
+        require(eventAddress != address(0), "Event does not exist");
 
-            if (!eventFound) {
-                userProfiles[to].attendingEvents.push(eventId);
-            }
-        }
+        EventCore eventCore = EventCore(payable(eventAddress));
+        uint[] memory tokenIds = eventCore.ticketManager().getTicketIds(msg.sender);
+        require(tokenIds.length > 0, "No tickets to refund");
 
-        // Remove event from sender's attending list if they no longer have tickets
-        if (userTickets[msg.sender][eventId] == 0) {
-            _removeAttendingEvent(msg.sender, eventId);
-        }
+        // The hub claims as the user's operator and the refund is sent
+        // straight to the user. The profile is updated as the tickets burn.
+        uint amount = eventCore.claimRefund(tokenIds, payable(msg.sender));
 
-        emit TicketsTransferred(msg.sender, to, eventId, quantity);
+        emit RefundClaimed(msg.sender, eventId, tokenIds.length, amount);
     }
 
     /**
@@ -242,6 +408,10 @@ contract UserTicketHub {
         );
 
         favoriteEvents[msg.sender][eventId] = true;
+        if (!countedFavorites[msg.sender][eventId]) {
+            countedFavorites[msg.sender][eventId] = true;
+            favoriteCounts[eventId]++;
+        }
         emit EventFavorited(msg.sender, eventId);
     }
 
@@ -252,6 +422,10 @@ contract UserTicketHub {
     function unfavoriteEvent(uint eventId) external {
         require(userProfiles[msg.sender].isRegistered, "User not registered");
 
+        if (countedFavorites[msg.sender][eventId]) {
+            countedFavorites[msg.sender][eventId] = false;
+            favoriteCounts[eventId]--;
+        }
         favoriteEvents[msg.sender][eventId] = false;
         emit EventUnfavorited(msg.sender, eventId);
     }
@@ -278,8 +452,181 @@ contract UserTicketHub {
     function getUserTicketCount(
         address user,
         uint eventId
+    ) public view returns (uint) {
+        return _getTicketManager(eventId).balanceOf(user);
+    }
+
+    /**
+     * @dev Get the IDs of the tickets a user holds for a specific event
+     * @param user Address of the user
+     * @param eventId ID of the event
+     * @return Array of ticket IDs
+     */
+    function getUserTicketIds(
+        address user,
+        uint eventId
+    ) external view returns (uint[] memory) {
+        return _getTicketManager(eventId).getTicketIds(user);
+    }
+
+    /**
+     * @dev Get how many of a user's tickets for an event have been checked in
+     * @param user Address of the user
+     * @param eventId ID of the event
+     * @return redeemedCount Number of the user's tickets redeemed at the venue
+     * @return ticketCount Number of tickets the user holds for the event
+     */
+    function getUserAttendance(
+        address user,
+        uint eventId
+    ) external view returns (uint redeemedCount, uint ticketCount) {
+        TicketManager ticketManager = _getTicketManager(eventId);
+        uint[] memory tokenIds = ticketManager.getTicketIds(user);
+        for (uint i = 0; i < tokenIds.length; i++) {
+            if (ticketManager.redeemed(tokenIds[i])) {
+                redeemedCount++;
+            }
+        }
+        ticketCount = tokenIds.length;
+    }
+
+    /**
+     * @dev Check a signed check-in for a ticket
+     * @param eventId ID of the event
+     * @param tokenId ID of the ticket
+     * @param deadline Time after which the signature is no longer accepted
+     * @param signature User's EIP-712 signature over the CheckIn message
+     * @return Whether the ticket is unused and the signer holds it
+     */
+    function verifyCheckIn(
+        uint eventId,
+        uint tokenId,
+        uint deadline,
+        bytes calldata signature
+    ) external view returns (bool) {
+        return
+            _getTicketManager(eventId).verifyCheckIn(
+                tokenId,
+                deadline,
+                signature
+            );
+    }
+
+    /**
+     * @dev Check tickets in at the venue. The caller must hold the event's
+     * check-in role.
+     * @param eventId ID of the event
+     * @param tokenIds IDs of the tickets to redeem
+     */
+    function checkInTickets(uint eventId, uint[] calldata tokenIds) external {
+        _getTicketManager(eventId).redeemTicketsFor(msg.sender, tokenIds);
+    }
+
+    /**
+     * @dev Get the time after which a pending transfer can no longer be accepted
+     * @param from Address of the ticket owner
+     * @param eventId ID of the event
+     * @param to Address of the recipient
+     * @return Expiry timestamp
+     */
+    function getPendingTransferExpiry(
+        address from,
+        uint eventId,
+        address to
     ) external view returns (uint) {
-        return userTickets[user][eventId];
+        return transferOffers[from][eventId][to].expiresAt;
+    }
+
+    /**
+     * @dev Get how many of a user's tickets for an event are not reserved
+     * for a pending transfer
+     * @param user Address of the user
+     * @param eventId ID of the event
+     * @return Number of tickets the user can transfer
+     */
+    function getTransferableTicketCount(
+        address user,
+        uint eventId
+    ) public view returns (uint) {
+        uint escrowed = 0;
+        PendingTransfer[] storage transfers = outgoingTransfers[user];
+        for (uint i = 0; i < transfers.length; i++) {
+            if (
+                transfers[i].eventId == eventId &&
+                _isTransferLive(user, eventId, transfers[i].to)
+            ) {
+                escrowed += pendingTransfers[user][eventId][transfers[i].to];
+            }
+        }
+        // Escrowed tickets burned by a refund may leave the balance below
+        // the escrowed count
+        uint balance = getUserTicketCount(user, eventId);
+        return balance > escrowed ? balance - escrowed : 0;
+    }
+
+    /**
+     * @dev Check whether a ticket is reserved for a pending transfer
+     * @param eventId ID of the event
+     * @param tokenId ID of the ticket
+     * @return Whether the ticket is held in escrow
+     */
+    function isTicketEscrowed(
+        uint eventId,
+        uint tokenId
+    ) external view returns (bool) {
+        return _isTicketEscrowed(eventId, tokenId);
+    }
+
+    /**
+     * @dev Get the live transfer offers a user has sent
+     * @param user Address of the user
+     * @return Array of pending transfers
+     */
+    function getOutgoingTransfers(
+        address user
+    ) external view returns (PendingTransfer[] memory) {
+        return _liveTransfers(outgoingTransfers[user]);
+    }
+
+    /**
+     * @dev Get the live transfer offers a user has received
+     * @param user Address of the user
+     * @return Array of pending transfers
+     */
+    function getIncomingTransfers(
+        address user
+    ) external view returns (PendingTransfer[] memory) {
+        return _liveTransfers(incomingTransfers[user]);
+    }
+
+    /**
+     * @dev Get the IDs of the tickets offered in a pending transfer
+     * @param from Address of the ticket owner
+     * @param eventId ID of the event
+     * @param to Address of the recipient
+     * @return Array of ticket IDs
+     */
+    function getPendingTransferTickets(
+        address from,
+        uint eventId,
+        address to
+    ) external view returns (uint[] memory) {
+        return transferOffers[from][eventId][to].tokenIds;
+    }
+
+    /**
+     * @dev Get the price the seller asks for a pending transfer
+     * @param from Address of the ticket owner
+     * @param eventId ID of the event
+     * @param to Address of the recipient
+     * @return Asking price in wei
+     */
+    function getPendingTransferPrice(
+        address from,
+        uint eventId,
+        address to
+    ) external view returns (uint) {
+        return transferOffers[from][eventId][to].askingPrice;
     }
 
     /**
@@ -342,42 +689,336 @@ contract UserTicketHub {
     }
 
     /**
-     * @dev Initiate a ticket transfer (without payment)
+     * @dev Move tickets between users in the TicketManager, acting as the
+     * sender's operator
+     * @param from Address of the current owner
+     * @param to Address of the new owner
      * @param eventId ID of the event
-     * @param to Address to transfer tickets to
-     * @param quantity Number of tickets to transfer
+     * @param ticketManager Ticket manager of the event
+     * @param tokenIds IDs of the tickets to move
      */
-    function initiateTransfer(uint eventId, address to, uint quantity) external {
-        require(to != address(0), "Cannot transfer to zero address");
-        require(to != msg.sender, "Cannot transfer to yourself");
-        require(
-            userTickets[msg.sender][eventId] >= quantity,
-            "Insufficient tickets owned"
-        );
+    function _moveTickets(
+        address from,
+        address to,
+        uint eventId,
+        TicketManager ticketManager,
+        uint[] memory tokenIds
+    ) internal {
+        for (uint i = 0; i < tokenIds.length; i++) {
+            require(
+                ticketManager.ownerOf(tokenIds[i]) == from,
+                "Ticket not owned by sender"
+            );
+            require(
+                !_isTicketEscrowed(eventId, tokenIds[i]),
+                "Ticket is reserved for a pending transfer"
+            );
+            ticketManager.transferFrom(from, to, tokenIds[i]);
+        }
+    }
 
-        // Get the event contract
+    /**
+     * @dev Split a resale payment held by the hub between the organizer's
+     * royalty, the platform fee and the seller
+     * @param eventCore Event the tickets are for
+     * @param seller Address of the seller
+     * @param eventId ID of the event
+     * @param salePrice Price the tickets were resold for
+     */
+    function _payResale(
+        EventCore eventCore,
+        address seller,
+        uint eventId,
+        uint salePrice
+    ) internal {
+        uint royaltyAmount = eventCore.getResaleRoyalty(salePrice);
+        uint platformFee = eventCore.getPlatformFee(salePrice);
+        uint sellerAmount = salePrice - royaltyAmount - platformFee;
+
+        if (royaltyAmount > 0) {
+            eventCore.depositTransferFee{
+                value: _forwardPayment(eventCore, address(eventCore), royaltyAmount)
+            }(royaltyAmount);
+        }
+        if (platformFee > 0) {
+            _sendPayment(eventCore, eventFactory.treasury(), platformFee);
+        }
+        _sendPayment(eventCore, seller, sellerAmount);
+
+        emit ResalePaymentSplit(seller, eventId, sellerAmount, royaltyAmount, platformFee);
+    }
+
+    /**
+     * @dev Send a payment held by the hub in Ether or the event's payment token
+     * @param eventCore Event the payment is for
+     * @param to Address to pay
+     * @param amount Amount to send
+     */
+    function _sendPayment(EventCore eventCore, address to, uint amount) internal {
+        IERC20 token = eventCore.paymentToken();
+        if (address(token) == address(0)) {
+            (bool sent, ) = payable(to).call{value: amount}("");
+            require(sent, "Failed to send payment");
+        } else {
+            token.safeTransfer(to, amount);
+        }
+    }
+
+    /**
+     * @dev Take a payment from the caller: check the Ether sent with the
+     * call, or pull the amount in the event's payment token to the hub
+     * @param eventCore Event the payment is for
+     * @param amount Amount the call costs
+     * @param insufficientMessage Revert reason when too little Ether is sent
+     */
+    function _pullPayment(
+        EventCore eventCore,
+        uint amount,
+        string memory insufficientMessage
+    ) internal {
+        IERC20 token = eventCore.paymentToken();
+        if (address(token) == address(0)) {
+            require(msg.value >= amount, insufficientMessage);
+        } else {
+            require(msg.value == 0, "Event is paid in tokens");
+            token.safeTransferFrom(msg.sender, address(this), amount);
+        }
+    }
+
+    /**
+     * @dev Prepare a payment to be passed on to another contract: approve
+     * it to collect payment tokens, or return the Ether to send along
+     * @param eventCore Event the payment is for
+     * @param spender Contract collecting the payment
+     * @param amount Amount to pass on
+     * @return value Ether to send with the call
+     */
+    function _forwardPayment(
+        EventCore eventCore,
+        address spender,
+        uint amount
+    ) internal returns (uint value) {
+        IERC20 token = eventCore.paymentToken();
+        if (address(token) == address(0)) {
+            return amount;
+        }
+
+        token.forceApprove(spender, amount);
+        return 0;
+    }
+
+    /**
+     * @dev Send any Ether above the required amount back to the caller
+     * @param eventId ID of the event the payment was for
+     * @param requiredAmount Amount of Ether the call actually costs
+     */
+    function _refundOverpayment(uint eventId, uint requiredAmount) internal {
+        if (msg.value > requiredAmount) {
+            uint excess = msg.value - requiredAmount;
+            (bool sent, ) = payable(msg.sender).call{value: excess}("");
+            require(sent, "Failed to refund overpayment");
+            emit OverpaymentRefunded(msg.sender, eventId, excess);
+        }
+    }
+
+    /**
+     * @dev Get the ticket manager of an event
+     * @param eventId ID of the event
+     * @return Ticket manager of the event
+     */
+    function _getTicketManager(
+        uint eventId
+    ) internal view returns (TicketManager) {
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
 
-        EventCore eventCore = EventCore(payable(eventAddress));
+        return EventCore(payable(eventAddress)).ticketManager();
+    }
+
+    /**
+     * @dev Check whether a pending transfer exists and has not expired
+     * @param from Address of the ticket owner
+     * @param eventId ID of the event
+     * @param to Address of the recipient
+     * @return Whether the offer can still be accepted
+     */
+    function _isTransferLive(
+        address from,
+        uint eventId,
+        address to
+    ) internal view returns (bool) {
+        return
+            pendingTransfers[from][eventId][to] > 0 &&
+            block.timestamp < transferOffers[from][eventId][to].expiresAt;
+    }
+
+    /**
+     * @dev Check whether a ticket is reserved for a live pending transfer
+     * @param eventId ID of the event
+     * @param tokenId ID of the ticket
+     * @return Whether the ticket is held in escrow
+     */
+    function _isTicketEscrowed(
+        uint eventId,
+        uint tokenId
+    ) internal view returns (bool) {
+        PendingTransfer storage escrow = ticketEscrows[eventId][tokenId];
+        return
+            escrow.to != address(0) &&
+            _isTransferLive(escrow.from, eventId, escrow.to);
+    }
+
+    /**
+     * @dev Filter a list of pending transfers down to the ones still live
+     * @param transfers Pending transfers to filter
+     * @return live Pending transfers that have not expired
+     */
+    function _liveTransfers(
+        PendingTransfer[] storage transfers
+    ) internal view returns (PendingTransfer[] memory live) {
+        uint count = 0;
+        for (uint i = 0; i < transfers.length; i++) {
+            if (_isTransferLive(transfers[i].from, transfers[i].eventId, transfers[i].to)) {
+                count++;
+            }
+        }
+
+        live = new PendingTransfer[](count);
+        uint index = 0;
+        for (uint i = 0; i < transfers.length; i++) {
+            if (_isTransferLive(transfers[i].from, transfers[i].eventId, transfers[i].to)) {
+                live[index] = transfers[i];
+                index++;
+            }
+        }
+    }
+
+    /**
+     * @dev Remove a pending transfer from a user's list
+     * @param transfers List to remove the transfer from
+     * @param from Address of the ticket owner
+     * @param eventId ID of the event
+     * @param to Address of the recipient
+     */
+    function _removePendingTransfer(
+        PendingTransfer[] storage transfers,
+        address from,
+        uint eventId,
+        address to
+    ) internal {
+        for (uint i = 0; i < transfers.length; i++) {
+            if (
+                transfers[i].from == from &&
+                transfers[i].eventId == eventId &&
+                transfers[i].to == to
+            ) {
+                // Replace with the last element and pop
+                transfers[i] = transfers[transfers.length - 1];
+                transfers.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Delete a pending transfer and remove it from both users' lists
+     * @param from Address of the ticket owner
+     * @param eventId ID of the event
+     * @param to Address of the recipient
+     */
+    function _clearTransfer(address from, uint eventId, address to) internal {
+        // Release the tickets still reserved for the offer
+        uint[] storage tokenIds = transferOffers[from][eventId][to].tokenIds;
+        for (uint i = 0; i < tokenIds.length; i++) {
+            PendingTransfer storage escrow = ticketEscrows[eventId][tokenIds[i]];
+            if (escrow.from == from && escrow.to == to) {
+                delete ticketEscrows[eventId][tokenIds[i]];
+            }
+        }
+
+        delete pendingTransfers[from][eventId][to];
+        delete transferOffers[from][eventId][to];
+        _removePendingTransfer(outgoingTransfers[from], from, eventId, to);
+        _removePendingTransfer(incomingTransfers[to], from, eventId, to);
+    }
+
+    /**
+     * @dev Initiate a ticket transfer (without payment). The offered tickets
+     * are held in escrow until the offer is accepted, cancelled, declined or
+     * expires.
+     * @param eventId ID of the event
+     * @param to Address to transfer tickets to
+     * @param tokenIds IDs of the tickets to transfer
+     * @param askingPrice Price the recipient pays for the tickets, capped by the event's resale terms
+     * @param expiresAt Time after which the offer can no longer be accepted
+     */
+    function initiateTransfer(
+        uint eventId,
+        address to,
+        uint[] calldata tokenIds,
+        uint askingPrice,
+        uint expiresAt
+    ) external {
+        uint quantity = tokenIds.length;
+        EventCore eventCore = _checkTransfer(eventId, to, quantity);
         TicketManager ticketManager = eventCore.ticketManager();
 
-        // Check if event has already occurred
-        (, , uint eventDate, , , ) = eventCore.getEventDetails();
-        require(block.timestamp < eventDate, "Event has already occurred");
+        for (uint i = 0; i < quantity; i++) {
+            require(
+                ticketManager.ownerOf(tokenIds[i]) == msg.sender,
+                "Ticket not owned by sender"
+            );
+            require(
+                !ticketManager.redeemed(tokenIds[i]),
+                "Ticket already redeemed"
+            );
+            require(
+                !_isTicketEscrowed(eventId, tokenIds[i]),
+                "Ticket is reserved for a pending transfer"
+            );
+        }
 
-        // Check if there's already a pending transfer in either direction
+        require(expiresAt > block.timestamp, "Expiry must be in the future");
+
+        // Check the asking price against the organizer's resale cap
+        require(askingPrice > 0, "Asking price must be greater than 0");
         require(
-            pendingTransfers[msg.sender][eventId][to] == 0,
+            askingPrice <=
+                eventCore.getMaxResalePrice(
+                    ticketManager.getTicketsPrice(tokenIds)
+                ),
+            "Asking price exceeds resale cap"
+        );
+
+        // Check if there's already a live pending transfer in either direction
+        require(
+            !_isTransferLive(msg.sender, eventId, to),
             "Transfer already initiated"
         );
         require(
-            pendingTransfers[to][eventId][msg.sender] == 0,
+            !_isTransferLive(to, eventId, msg.sender),
             "Recipient has a pending transfer to sender"
         );
 
+        // Clear out an expired offer between the pair before replacing it
+        if (pendingTransfers[msg.sender][eventId][to] > 0) {
+            _clearTransfer(msg.sender, eventId, to);
+        }
+
         // Store the pending transfer
         pendingTransfers[msg.sender][eventId][to] = quantity;
+        transferOffers[msg.sender][eventId][to] = TransferOffer({
+            tokenIds: tokenIds,
+            askingPrice: askingPrice,
+            expiresAt: expiresAt
+        });
+        outgoingTransfers[msg.sender].push(PendingTransfer(msg.sender, to, eventId));
+        incomingTransfers[to].push(PendingTransfer(msg.sender, to, eventId));
+
+        // Reserve the tickets so they can't be sold elsewhere while the offer is live
+        for (uint i = 0; i < quantity; i++) {
+            ticketEscrows[eventId][tokenIds[i]] = PendingTransfer(msg.sender, to, eventId);
+        }
 
         emit TransferInitiated(msg.sender, to, eventId, quantity);
     }
@@ -390,66 +1031,138 @@ contract UserTicketHub {
     function acceptTransfer(address from, uint eventId) external payable {
         uint quantity = pendingTransfers[from][eventId][msg.sender];
         require(quantity > 0, "No pending transfer found");
+        require(
+            _isTransferLive(from, eventId, msg.sender),
+            "Transfer offer has expired"
+        );
 
-        // Get the event and ticket manager contracts
+        // Get the event contract
         address eventAddress = eventFactory.getEventContract(eventId);
         require(eventAddress != address(0), "Event does not exist");
 
         EventCore eventCore = EventCore(payable(eventAddress));
-        TicketManager ticketManager = eventCore.ticketManager();
 
-        // Get event details to calculate transfer amount
-        (, , uint eventDate, uint ticketPrice, , ) = eventCore.getEventDetails();
+        // Get event details
+        (, , uint eventDate, , , ) = eventCore.getEventDetails();
         
         // Check if event has already occurred
+        require(!eventCore.cancelled(), "Event has been cancelled");
         require(block.timestamp < eventDate, "Event has already occurred");
 
-        // Check if sender still has enough tickets
+        TransferOffer memory offer = transferOffers[from][eventId][msg.sender];
+        uint[] memory tokenIds = offer.tokenIds;
+        TicketManager ticketManager = eventCore.ticketManager();
+        uint transferAmount = offer.askingPrice;
+
+        // Validate payment from recipient
+        _pullPayment(eventCore, transferAmount, "Insufficient payment from recipient");
+
+        // Release the escrow and clear the pending transfer, then move the
+        // reserved tickets to the recipient
+        _clearTransfer(from, eventId, msg.sender);
+        _moveTickets(from, msg.sender, eventId, ticketManager, tokenIds);
+
+        _payResale(eventCore, from, eventId, transferAmount);
+
+        // Return anything sent above the transfer amount
+        _refundOverpayment(eventId, transferAmount);
+
+        emit TicketsTransferred(from, msg.sender, eventId, quantity);
+    }
+
+    /**
+     * @dev Called by an event's TicketManager whenever a ticket is minted,
+     * transferred or burned, to keep ticket counts and attending lists in
+     * sync with the ledger
+     * @param from Previous holder, zero for mints
+     * @param to New holder, zero for burns
+     * @param tokenId ID of the ticket
+     */
+    function onTicketTransfer(address from, address to, uint tokenId) external {
+        // Only accept reports from the ticket manager of a factory event
+        address eventAddress = address(TicketManager(msg.sender).eventCore());
+        uint eventId = eventFactory.eventIds(eventAddress);
         require(
-            userTickets[from][eventId] >= quantity,
-            "Sender no longer has enough tickets"
+            eventFactory.getEventContract(eventId) == eventAddress &&
+                address(EventCore(payable(eventAddress)).ticketManager()) ==
+                msg.sender,
+            "Only an event's ticket manager can report transfers"
         );
 
-        uint transferAmount = ticketPrice * quantity;
-
-        // Validate payment from recipient
-        require(msg.value >= transferAmount, "Insufficient payment from recipient");
+        // Reserved tickets can only move through acceptTransfer, which
+        // releases the escrow first. Refund burns are always allowed and
+        // end the offer, which can no longer be accepted.
+        if (_isTicketEscrowed(eventId, tokenId)) {
+            require(
+                to == address(0),
+                "Ticket is reserved for a pending transfer"
+            );
+            PendingTransfer memory escrow = ticketEscrows[eventId][tokenId];
+            _clearTransfer(escrow.from, eventId, escrow.to);
+            emit TransferCancelled(escrow.from, escrow.to, eventId);
+        }
+        delete ticketEscrows[eventId][tokenId];
 
-        // Transfer the tickets using the TicketManager
-        ticketManager.transferTicket{value: msg.value}(quantity, msg.sender);
+        if (from != address(0)) {
+            // Tickets received before the hub was registered were never counted
+            if (userProfiles[from].totalTicketsOwned > 0) {
+                userProfiles[from].totalTicketsOwned--;
+            }
 
-        // Update user records
-        userTickets[from][eventId] -= quantity;
-        userTickets[msg.sender][eventId] += quantity;
+            // Remove event from sender's attending list if they no longer have tickets
+            if (TicketManager(msg.sender).balanceOf(from) == 0) {
+                _removeAttendingEvent(from, eventId);
+            }
+        }
 
-        userProfiles[from].totalTicketsOwned -= quantity;
+        if (to != address(0)) {
+            userProfiles[to].totalTicketsOwned++;
 
-        // If recipient is registered, update their total count
-        if (userProfiles[msg.sender].isRegistered) {
-            userProfiles[msg.sender].totalTicketsOwned += quantity;
-            
             // Add the event to the recipient's attending list if not already there
             bool eventFound = false;
-            for (uint i = 0; i < userProfiles[msg.sender].attendingEvents.length; i++) {
-                if (userProfiles[msg.sender].attendingEvents[i] == eventId) {
+            for (uint i = 0; i < userProfiles[to].attendingEvents.length; i++) {
+                if (userProfiles[to].attendingEvents[i] == eventId) {
                     eventFound = true;
                     break;
                 }
             }
 
             if (!eventFound) {
-                userProfiles[msg.sender].attendingEvents.push(eventId);
+                userProfiles[to].attendingEvents.push(eventId);
             }
         }
+    }
 
-        // Remove event from sender's attending list if they no longer have tickets
-        if (userTickets[from][eventId] == 0) {
-            _removeAttendingEvent(from, eventId);
-        }
+    /**
+     * @dev Withdraw a transfer offer the caller has made. Expired offers can
+     * be cancelled too, to clear them from the lists.
+     * @param eventId ID of the event
+     * @param to Address the offer was made to
+     */
+    function cancelTransfer(uint eventId, address to) external {
+        require(
+            pendingTransfers[msg.sender][eventId][to] > 0,
+            "No pending transfer found"
+        );
 
-        // Clear the pending transfer
-        delete pendingTransfers[from][eventId][msg.sender];
+        _clearTransfer(msg.sender, eventId, to);
 
-        emit TicketsTransferred(from, msg.sender, eventId, quantity);
+        emit TransferCancelled(msg.sender, to, eventId);
+    }
+
+    /**
+     * @dev Decline a transfer offer made to the caller
+     * @param from Address of the ticket owner who made the offer
+     * @param eventId ID of the event
+     */
+    function declineTransfer(address from, uint eventId) external {
+        require(
+            pendingTransfers[from][eventId][msg.sender] > 0,
+            "No pending transfer found"
+        );
+
+        _clearTransfer(from, eventId, msg.sender);
+
+        emit TransferDeclined(from, msg.sender, eventId);
     }
 }
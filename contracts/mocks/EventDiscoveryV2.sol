@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.18;
+
+import "../EventDiscovery.sol";
+
+/**
+ * @title EventDiscoveryV2
+ * @dev Upgrade of EventDiscovery that appends state, used to test that
+ * upgrading a proxy keeps the existing state
+ */
+contract EventDiscoveryV2 is EventDiscovery {
+    // Version number set when the proxy is upgraded
+    uint public version;
+
+    // Note stored for each event
+    mapping(uint => string) public notes;
+
+    /**
+     * @dev Constructor to create the implementation
+     * @param _eventFactoryAddress Address of the EventFactory contract
+     */
+    constructor(address _eventFactoryAddress) EventDiscovery(_eventFactoryAddress) {}
+
+    /**
+     * @dev Sets up the state added in this version
+     */
+    function initializeV2() external reinitializer(2) {
+        version = 2;
+    }
+
+    /**
+     * @dev Stores a note for an event
+     * @param eventId ID of the event
+     * @param note Text of the note
+     */
+    function setNote(uint eventId, string calldata note) external {
+        notes[eventId] = note;
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.18;
+
+import "../EventFactory.sol";
+
+/**
+ * @title EventFactoryV2
+ * @dev Upgrade of EventFactory that appends state, used to test that
+ * upgrading a proxy keeps the existing state
+ */
+contract EventFactoryV2 is EventFactory {
+    // Version number set when the proxy is upgraded
+    uint public version;
+
+    // Note stored for each event
+    mapping(uint => string) public notes;
+
+    /**
+     * @dev Constructor to create the implementation
+     * @param _eventCoreImplementation Address of the EventCore implementation
+     * @param _ticketManagerImplementation Address of the TicketManager implementation
+     */
+    constructor(
+        address _eventCoreImplementation,
+        address _ticketManagerImplementation
+    ) EventFactory(_eventCoreImplementation, _ticketManagerImplementation) {}
+
+    /**
+     * @dev Sets up the state added in this version
+     */
+    function initializeV2() external reinitializer(2) {
+        version = 2;
+    }
+
+    /**
+     * @dev Stores a note for an event (only the owner can call)
+     * @param eventId ID of the event
+     * @param note Text of the note
+     */
+    function setNote(uint eventId, string calldata note) external onlyOwner {
+        notes[eventId] = note;
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.18;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20
+ * @dev Stablecoin-like ERC-20 token with EIP-2612 permit support, used to
+ * test events paid in tokens. Anyone can mint.
+ */
+contract MockERC20 is ERC20Permit {
+    // Number of decimals, e.g. 6 for a USDC-like token
+    uint8 private immutable _decimals;
+
+    /**
+     * @dev Constructor to create the token
+     * @param name Name of the token
+     * @param symbol Symbol of the token
+     * @param decimals_ Number of decimals
+     */
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_
+    ) ERC20(name, symbol) ERC20Permit(name) {
+        _decimals = decimals_;
+    }
+
+    /**
+     * @dev Mints tokens to an address
+     * @param to Address to mint to
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint amount) external {
+        _mint(to, amount);
+    }
+
+    /**
+     * @dev Gets the number of decimals of the token
+     * @return Number of decimals
+     */
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
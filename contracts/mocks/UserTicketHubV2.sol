@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.18;
+
+import "../UserTicketHub.sol";
+
+/**
+ * @title UserTicketHubV2
+ * @dev Upgrade of UserTicketHub that appends state, used to test that
+ * upgrading a proxy keeps the existing state
+ */
+contract UserTicketHubV2 is UserTicketHub {
+    // Version number set when the proxy is upgraded
+    uint public version;
+
+    // Note stored for each user
+    mapping(address => string) public notes;
+
+    /**
+     * @dev Constructor to create the implementation
+     * @param _eventFactoryAddress Address of the EventFactory contract
+     */
+    constructor(address _eventFactoryAddress) UserTicketHub(_eventFactoryAddress) {}
+
+    /**
+     * @dev Sets up the state added in this version
+     */
+    function initializeV2() external reinitializer(2) {
+        version = 2;
+    }
+
+    /**
+     * @dev Stores a note for the caller
+     * @param note Text of the note
+     */
+    function setNote(string calldata note) external {
+        notes[msg.sender] = note;
+    }
+}
@@ -4,7 +4,30 @@ const path = require("path");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.18",
+  solidity: {
+    version: "0.8.18",
+    settings: {
+      // The larger contracts go over the contract size limit without the
+      // optimizer
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+      // Storage layouts are checked against test/storage-layouts so the
+      // upgradeable contracts only ever append state
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
+    },
+  },
+  // Set REPORT_GAS=true to print the gas used by each method and deployment,
+  // e.g. to compare createEvent with deploying EventCore and TicketManager
+  gasReporter: {
+    enabled: process.env.REPORT_GAS !== undefined,
+    currency: "USD",
+  },
   paths: {
     sources: "./contracts",
     tests: "./test",
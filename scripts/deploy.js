@@ -2,35 +2,150 @@ const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+// Proxy addresses from earlier deployments, one file per network. When a
+// file exists the proxies are upgraded in place instead of redeployed.
+const deploymentsPath = path.join(__dirname, "../deployments");
+
+// Deploy a contract and return it once mined
+async function deployContract(name, args) {
+  const Contract = await hre.ethers.getContractFactory(name);
+  const contract = await Contract.deploy(...args);
+  await contract.waitForDeployment();
+  return contract;
+}
+
+// Deploy an implementation that events are cloned from, or reuse the one
+// recorded for this network if its bytecode hasn't changed since
+async function deployOrReuseCloneImplementation(name, recorded) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const bytecodeHash = hre.ethers.keccak256(artifact.bytecode);
+
+  if (recorded && recorded.bytecodeHash === bytecodeHash) {
+    console.log(`♻️ ${name} implementation reused at: ${recorded.address}`);
+    return { ...recorded, deployed: false };
+  }
+
+  const implementation = await deployContract(name, []);
+  const address = await implementation.getAddress();
+  console.log(`✅ ${name} implementation deployed at: ${address}`);
+  return { address, bytecodeHash, deployed: true };
+}
+
+// Deploy a new implementation of a platform contract and either put it
+// behind a new proxy or upgrade the existing proxy to it
+async function deployOrUpgrade(name, constructorArgs, initializeArgs, proxyAdmin, proxyAddress) {
+  const implementation = await deployContract(name, constructorArgs);
+  const implementationAddress = await implementation.getAddress();
+
+  if (proxyAddress) {
+    await (await proxyAdmin.upgrade(proxyAddress, implementationAddress)).wait();
+    console.log(`✅ ${name} upgraded at: ${proxyAddress} (implementation ${implementationAddress})`);
+  } else {
+    const initData = implementation.interface.encodeFunctionData("initialize", initializeArgs);
+    const proxy = await deployContract("TransparentUpgradeableProxy", [
+      implementationAddress,
+      await proxyAdmin.getAddress(),
+      initData,
+    ]);
+    proxyAddress = await proxy.getAddress();
+    console.log(`✅ ${name} deployed at: ${proxyAddress} (implementation ${implementationAddress})`);
+  }
+
+  return { implementation, proxyAddress };
+}
+
 async function main() {
   console.log("🚀 Starting deployment on:", hre.network.name);
 
-  // Deploy EventFactory
-  const EventFactory = await hre.ethers.getContractFactory("EventFactory");
-  const eventFactory = await EventFactory.deploy();
-  await eventFactory.waitForDeployment();
-  const eventFactoryAddress = await eventFactory.getAddress();
-  console.log("✅ EventFactory deployed at:", eventFactoryAddress);
-
-  // Deploy EventDiscovery
-  const EventDiscovery = await hre.ethers.getContractFactory("EventDiscovery");
-  const eventDiscovery = await EventDiscovery.deploy(eventFactoryAddress);
-  await eventDiscovery.waitForDeployment();
-  const eventDiscoveryAddress = await eventDiscovery.getAddress();
-  console.log("✅ EventDiscovery deployed at:", eventDiscoveryAddress);
-
-  // Deploy UserTicketHub
-  const UserTicketHub = await hre.ethers.getContractFactory("UserTicketHub");
-  const userTicketHub = await UserTicketHub.deploy(eventFactoryAddress);
-  await userTicketHub.waitForDeployment();
-  const userTicketHubAddress = await userTicketHub.getAddress();
-  console.log("✅ UserTicketHub deployed at:", userTicketHubAddress);
+  const deploymentFile = path.join(deploymentsPath, `${hre.network.name}.json`);
+  let previous = fs.existsSync(deploymentFile)
+    ? JSON.parse(fs.readFileSync(deploymentFile, "utf8"))
+    : null;
+
+  // A restarted local node no longer has the recorded contracts
+  if (previous && (await hre.ethers.provider.getCode(previous.proxyAdmin)) === "0x") {
+    console.log("⚠️ Recorded deployment not found on chain, deploying afresh");
+    previous = null;
+  }
+  if (previous) console.log("🔁 Upgrading the deployment recorded in", deploymentFile);
+
+  // The ProxyAdmin's owner is the upgrade authority for every proxy
+  const ProxyAdmin = await hre.ethers.getContractFactory("ProxyAdmin");
+  const proxyAdmin = previous
+    ? ProxyAdmin.attach(previous.proxyAdmin)
+    : await deployContract("ProxyAdmin", []);
+  const proxyAdminAddress = await proxyAdmin.getAddress();
+  if (!previous) console.log("✅ ProxyAdmin deployed at:", proxyAdminAddress);
+
+  // Deploy or reuse the implementations events are cloned from. They are
+  // passed to the factory rather than deployed by it.
+  const eventCoreImplementation = await deployOrReuseCloneImplementation(
+    "EventCore",
+    previous && previous.eventCoreImplementation
+  );
+  const ticketManagerImplementation = await deployOrReuseCloneImplementation(
+    "TicketManager",
+    previous && previous.ticketManagerImplementation
+  );
+  const cloneImplementationArgs = [
+    eventCoreImplementation.address,
+    ticketManagerImplementation.address,
+  ];
+
+  // Deploy or upgrade EventFactory
+  const eventFactoryDeployment = await deployOrUpgrade(
+    "EventFactory",
+    cloneImplementationArgs,
+    [],
+    proxyAdmin,
+    previous && previous.eventFactory
+  );
+  const eventFactoryAddress = eventFactoryDeployment.proxyAddress;
+
+  // Deploy or upgrade EventDiscovery
+  const eventDiscoveryDeployment = await deployOrUpgrade(
+    "EventDiscovery",
+    [eventFactoryAddress],
+    [eventFactoryAddress],
+    proxyAdmin,
+    previous && previous.eventDiscovery
+  );
+  const eventDiscoveryAddress = eventDiscoveryDeployment.proxyAddress;
+
+  // Deploy or upgrade UserTicketHub
+  const userTicketHubDeployment = await deployOrUpgrade(
+    "UserTicketHub",
+    [eventFactoryAddress],
+    [eventFactoryAddress],
+    proxyAdmin,
+    previous && previous.userTicketHub
+  );
+  const userTicketHubAddress = userTicketHubDeployment.proxyAddress;
+
+  // The circuit breaker is not upgradeable; keep the one already registered
+  let circuitBreakerAddress = previous && previous.circuitBreaker;
+  if (!circuitBreakerAddress) {
+    // Deploy CircuitBreaker, with the deployer as the first guardian
+    const circuitBreaker = await deployContract("CircuitBreaker", [eventFactoryAddress]);
+    circuitBreakerAddress = await circuitBreaker.getAddress();
+    console.log("✅ CircuitBreaker deployed at:", circuitBreakerAddress);
+
+    // Register the discovery contract for ticket metadata, the hub so it can
+    // manage tickets on users' behalf and the circuit breaker
+    const EventFactory = await hre.ethers.getContractFactory("EventFactory");
+    const eventFactory = EventFactory.attach(eventFactoryAddress);
+    await (await eventFactory.setEventDiscovery(eventDiscoveryAddress)).wait();
+    await (await eventFactory.setUserTicketHub(userTicketHubAddress)).wait();
+    await (await eventFactory.setCircuitBreaker(circuitBreakerAddress)).wait();
+    console.log("✅ EventDiscovery, UserTicketHub and CircuitBreaker registered with EventFactory");
+  }
 
   // Save contract addresses to frontend
   const addresses = {
     eventFactory: eventFactoryAddress,
     eventDiscovery: eventDiscoveryAddress,
     userTicketHub: userTicketHubAddress,
+    circuitBreaker: circuitBreakerAddress,
   };
 
   const frontendPath = path.join(__dirname, "../../frontend/src/utils");
@@ -45,38 +160,66 @@ export const CONTRACT_ADDRESSES = ${JSON.stringify(addresses, null, 2)};
   fs.writeFileSync(path.join(frontendPath, "contractAddresses.js"), fileContent);
   console.log("📁 Contract addresses saved to frontend.");
 
+  // Record the proxies so the next run upgrades them. The in-process
+  // hardhat network starts empty every run, so nothing is recorded for it.
+  if (hre.network.name !== "hardhat") {
+    if (!fs.existsSync(deploymentsPath)) fs.mkdirSync(deploymentsPath, { recursive: true });
+    const recordImplementation = ({ address, bytecodeHash }) => ({ address, bytecodeHash });
+    fs.writeFileSync(
+      deploymentFile,
+      JSON.stringify(
+        {
+          proxyAdmin: proxyAdminAddress,
+          ...addresses,
+          eventCoreImplementation: recordImplementation(eventCoreImplementation),
+          ticketManagerImplementation: recordImplementation(ticketManagerImplementation),
+        },
+        null,
+        2
+      ) + "\n"
+    );
+    console.log("📁 Deployment recorded in", deploymentFile);
+  }
+
   // Etherscan verification (for testnets/mainnet only)
   if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
     console.log("⏳ Waiting for 6 block confirmations...");
-    await eventFactory.deploymentTransaction().wait(6);
+    await userTicketHubDeployment.implementation.deploymentTransaction().wait(6);
 
     console.log("🔍 Verifying on Etherscan...");
 
-    try {
-      await hre.run("verify:verify", {
-        address: eventFactoryAddress,
-        constructorArguments: [],
-      });
-    } catch (e) {
-      console.log("⚠️ EventFactory verification skipped or failed:", e.message);
+    // Implementations are verified; Etherscan links them to their proxies
+    const implementations = [
+      ["EventFactory", await eventFactoryDeployment.implementation.getAddress(), cloneImplementationArgs],
+      ["EventDiscovery", await eventDiscoveryDeployment.implementation.getAddress(), [eventFactoryAddress]],
+      ["UserTicketHub", await userTicketHubDeployment.implementation.getAddress(), [eventFactoryAddress]],
+    ];
+    if (eventCoreImplementation.deployed) {
+      implementations.push(["EventCore", eventCoreImplementation.address, []]);
     }
-
-    try {
-      await hre.run("verify:verify", {
-        address: userTicketHubAddress,
-        constructorArguments: [eventFactoryAddress],
-      });
-    } catch (e) {
-      console.log("⚠️ UserTicketHub verification skipped or failed:", e.message);
+    if (ticketManagerImplementation.deployed) {
+      implementations.push(["TicketManager", ticketManagerImplementation.address, []]);
+    }
+    for (const [name, address, constructorArguments] of implementations) {
+      try {
+        await hre.run("verify:verify", {
+          address,
+          constructorArguments,
+        });
+      } catch (e) {
+        console.log(`⚠️ ${name} verification skipped or failed:`, e.message);
+      }
     }
 
-    try {
-      await hre.run("verify:verify", {
-        address: eventDiscoveryAddress,
-        constructorArguments: [eventFactoryAddress],
-      });
-    } catch (e) {
-      console.log("⚠️ EventDiscovery verification skipped or failed:", e.message);
+    if (!previous) {
+      try {
+        await hre.run("verify:verify", {
+          address: circuitBreakerAddress,
+          constructorArguments: [eventFactoryAddress],
+        });
+      } catch (e) {
+        console.log("⚠️ CircuitBreaker verification skipped or failed:", e.message);
+      }
     }
   }
 }
@@ -0,0 +1,254 @@
+/**
+ * @file CircuitBreaker.test.js
+ * @description Test suite for the CircuitBreaker contract
+ * Tests guardian management, global and per-event pauses, and event blocklisting
+ */
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("CircuitBreaker", function () {
+  // Test variables
+  let circuitBreaker;
+  let eventFactory;
+  let userTicketHub;
+  let eventCore;
+  let ticketManager;
+  let owner;
+  let organizer;
+  let user1;
+  let user2;
+  let guardian;
+  let eventName = "Test Event";
+  let eventDate;
+  let ticketPrice = ethers.parseEther("0.1");
+  let ticketCount = 100;
+
+  // Setup before each test
+  beforeEach(async function () {
+    // Get test accounts
+    [owner, organizer, user1, user2, guardian] = await ethers.getSigners();
+
+    // Set event date to 1 day from current block timestamp
+    const latestBlock = await ethers.provider.getBlock('latest');
+    eventDate = latestBlock.timestamp + 86400;
+
+    // Deploy the implementations events are cloned from, then EventFactory
+    const eventCoreImplementation = await (await ethers.getContractFactory("EventCore")).deploy();
+    const ticketManagerImplementation = await (await ethers.getContractFactory("TicketManager")).deploy();
+    const EventFactory = await ethers.getContractFactory("EventFactory");
+    eventFactory = await EventFactory.deploy(
+      await eventCoreImplementation.getAddress(),
+      await ticketManagerImplementation.getAddress()
+    );
+    await eventFactory.waitForDeployment();
+
+    // Deploy UserTicketHub and CircuitBreaker and register them
+    const UserTicketHub = await ethers.getContractFactory("UserTicketHub");
+    userTicketHub = await UserTicketHub.deploy(await eventFactory.getAddress());
+    await userTicketHub.waitForDeployment();
+    await eventFactory.setUserTicketHub(await userTicketHub.getAddress());
+
+    const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+    circuitBreaker = await CircuitBreaker.deploy(await eventFactory.getAddress());
+    await circuitBreaker.waitForDeployment();
+    await eventFactory.setCircuitBreaker(await circuitBreaker.getAddress());
+    await circuitBreaker.connect(owner).setGuardian(guardian.address);
+
+    // Create a test event
+    await eventFactory.connect(organizer).createEvent(
+      eventName,
+      eventDate,
+      ticketPrice,
+      ticketCount
+    );
+    const eventContractAddress = await eventFactory.getEventContract(0);
+
+    // Get EventCore and TicketManager instances
+    const EventCore = await ethers.getContractFactory("EventCore");
+    eventCore = EventCore.attach(eventContractAddress);
+    const TicketManager = await ethers.getContractFactory("TicketManager");
+    ticketManager = TicketManager.attach(await eventCore.ticketManager());
+  });
+
+  // Test guardian management
+  describe("Guardian", function () {
+    it("Should make the deployer the first guardian", async function () {
+      const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+      const breaker = await CircuitBreaker.deploy(await eventFactory.getAddress());
+      expect(await breaker.guardian()).to.equal(owner.address);
+    });
+
+    it("Should let the factory owner appoint the guardian", async function () {
+      await expect(circuitBreaker.connect(owner).setGuardian(user1.address))
+        .to.emit(circuitBreaker, "GuardianUpdated")
+        .withArgs(user1.address);
+      expect(await circuitBreaker.guardian()).to.equal(user1.address);
+    });
+
+    it("Should not let others appoint the guardian", async function () {
+      await expect(
+        circuitBreaker.connect(guardian).setGuardian(user1.address)
+      ).to.be.revertedWith("Only the owner can call this function");
+      await expect(
+        circuitBreaker.connect(owner).setGuardian(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid guardian address");
+    });
+
+    it("Should only let the guardian pause and block", async function () {
+      await expect(
+        circuitBreaker.connect(owner).pause()
+      ).to.be.revertedWith("Only the guardian can call this function");
+      await expect(
+        circuitBreaker.connect(organizer).pauseEvent(0)
+      ).to.be.revertedWith("Only the guardian can call this function");
+      await expect(
+        circuitBreaker.connect(user1).blockEvent(0, "Scam")
+      ).to.be.revertedWith("Only the guardian can call this function");
+    });
+  });
+
+  // Test halting ticket trading
+  describe("Pausing", function () {
+    it("Should halt purchases and transfers on every event while paused", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+
+      await expect(circuitBreaker.connect(guardian).pause())
+        .to.emit(circuitBreaker, "Paused")
+        .withArgs(guardian.address);
+      expect(await circuitBreaker.isPaused(0)).to.be.true;
+
+      await expect(
+        ticketManager.connect(user2).buyTicket(0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket trading is paused");
+      await expect(
+        ticketManager.connect(user1).transferTicket([0], user2.address, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket trading is paused");
+
+      await expect(circuitBreaker.connect(guardian).unpause())
+        .to.emit(circuitBreaker, "Unpaused")
+        .withArgs(guardian.address);
+      await ticketManager.connect(user2).buyTicket(0, 1, { value: ticketPrice });
+      expect(await ticketManager.balanceOf(user2.address)).to.equal(1);
+    });
+
+    it("Should halt trading on a single event", async function () {
+      await eventFactory.connect(organizer).createEvent(
+        "Other Event",
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      await expect(circuitBreaker.connect(guardian).pauseEvent(0))
+        .to.emit(circuitBreaker, "EventPaused")
+        .withArgs(0, guardian.address);
+
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket trading is paused");
+      await userTicketHub.connect(user1).buyTickets(1, 0, 1, { value: ticketPrice });
+
+      await expect(circuitBreaker.connect(guardian).unpauseEvent(0))
+        .to.emit(circuitBreaker, "EventUnpaused")
+        .withArgs(0, guardian.address);
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });
+    });
+
+    it("Should still allow refunds while paused", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+      await circuitBreaker.connect(guardian).pause();
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        eventCore.connect(user1).claimRefund([0], user1.address)
+      ).to.changeEtherBalance(user1, ticketPrice);
+    });
+  });
+
+  // Test event blocklisting
+  describe("Blocklisting", function () {
+    it("Should stop a blocked event from selling tickets", async function () {
+      await expect(circuitBreaker.connect(guardian).blockEvent(0, "Reported as a scam"))
+        .to.emit(circuitBreaker, "EventBlocked")
+        .withArgs(0, "Reported as a scam");
+      expect(await circuitBreaker.blockedEvents(0)).to.be.true;
+
+      await expect(
+        ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Event has been blocked");
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Event has been blocked");
+    });
+
+    it("Should allow trading again once unblocked", async function () {
+      await circuitBreaker.connect(guardian).blockEvent(0, "Reported as a scam");
+
+      await expect(circuitBreaker.connect(guardian).unblockEvent(0))
+        .to.emit(circuitBreaker, "EventUnblocked")
+        .withArgs(0);
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+      expect(await ticketManager.balanceOf(user1.address)).to.equal(1);
+    });
+
+    it("Should let holders refund tickets of a blocked event", async function () {
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * 2n });
+      await expect(
+        userTicketHub.connect(user1).claimRefund(0)
+      ).to.be.revertedWith("Refunds are not available");
+
+      await circuitBreaker.connect(guardian).blockEvent(0, "Reported as a scam");
+
+      expect(await eventCore.isBlocked()).to.be.true;
+      expect(await eventCore.refundsAvailable()).to.be.true;
+      await expect(userTicketHub.connect(user1).claimRefund(0)).to.changeEtherBalances(
+        [user1, eventCore],
+        [ticketPrice * 2n, -ticketPrice * 2n]
+      );
+      expect(await ticketManager.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should freeze payee withdrawals while an event is blocked", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 2, { value: ticketPrice * 2n });
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await eventCore.withdrawableProceeds()).to.equal(ticketPrice * 2n);
+
+      await circuitBreaker.connect(guardian).blockEvent(0, "Reported as a scam");
+
+      // The sale proceeds are held back for refunds, even after the event date
+      expect(await eventCore.withdrawableProceeds()).to.equal(0);
+      expect(await eventCore.withdrawableBy(organizer.address)).to.equal(0);
+      await expect(eventCore.connect(organizer).withdraw()).to.be.revertedWith("Event has been blocked");
+      await eventCore.connect(user1).claimRefund([0], user1.address);
+
+      // Once unblocked, the organizer is paid for the ticket that was kept
+      await circuitBreaker.connect(guardian).unblockEvent(0);
+      await expect(eventCore.connect(organizer).withdraw()).to.changeEtherBalance(organizer, ticketPrice);
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should keep the payout views working when an event is blocked after payouts", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 2, { value: ticketPrice * 2n });
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      await eventCore.connect(organizer).withdraw();
+
+      await circuitBreaker.connect(guardian).blockEvent(0, "Reported as a scam");
+
+      expect(await eventCore.withdrawableProceeds()).to.equal(0);
+      expect(await eventCore.withdrawableBy(organizer.address)).to.equal(0);
+      expect(await eventCore.platformFeeEarned()).to.equal(0);
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should not block an event that does not exist", async function () {
+      await expect(
+        circuitBreaker.connect(guardian).blockEvent(5, "Reported as a scam")
+      ).to.be.revertedWith("Event does not exist");
+    });
+  });
+});
@@ -16,6 +16,23 @@ describe("EventCore", function () {
   let eventDate;
   let ticketPrice = ethers.parseEther("0.1");
   let ticketCount = 100;
+  let eventCoreImplementation;
+  let ticketManagerImplementation;
+
+  // Deploy an uninitialized EIP-1167 clone of the EventCore implementation,
+  // the same way EventFactory creates events
+  async function cloneEvent() {
+    const implementation = (await eventCoreImplementation.getAddress()).slice(2);
+    const tx = await organizer.sendTransaction({
+      data:
+        "0x3d602d80600a3d3981f3363d3d373d3d3d363d73" +
+        implementation +
+        "5af43d82803e903d91602b57fd5bf3",
+    });
+    const receipt = await tx.wait();
+    const EventCore = await ethers.getContractFactory("EventCore");
+    return EventCore.attach(receipt.contractAddress);
+  }
 
   // Setup before each test
   beforeEach(async function () {
@@ -26,16 +43,26 @@ describe("EventCore", function () {
     const latestBlock = await ethers.provider.getBlock('latest');
     eventDate = latestBlock.timestamp + 86400;
 
-    // Deploy fresh EventCore contract for each test
+    // Deploy the implementations each event and its TicketManager are cloned from
     const EventCore = await ethers.getContractFactory("EventCore");
-    eventCore = await EventCore.deploy(
+    eventCoreImplementation = await EventCore.deploy();
+    await eventCoreImplementation.waitForDeployment();
+    const TicketManager = await ethers.getContractFactory("TicketManager");
+    ticketManagerImplementation = await TicketManager.deploy();
+    await ticketManagerImplementation.waitForDeployment();
+
+    // Deploy fresh EventCore contract for each test
+    eventCore = await cloneEvent();
+    await eventCore.initialize(
       organizer.address,
       eventName,
       eventDate,
-      ticketPrice,
-      ticketCount
+      ["General Admission"],
+      [ticketPrice],
+      [ticketCount],
+      [],
+      await ticketManagerImplementation.getAddress()
     );
-    await eventCore.waitForDeployment();
   });
 
   // Test deployment scenarios
@@ -62,6 +89,175 @@ describe("EventCore", function () {
     });
   });
 
+  // Test ticket tier functionality
+  describe("Ticket Tiers", function () {
+    it("Should create a single tier from the deployment arguments", async function () {
+      expect(await eventCore.getTierCount()).to.equal(1);
+
+      const tier = await eventCore.getTierDetails(0);
+      expect(tier[0]).to.equal("General Admission");
+      expect(tier[1]).to.equal(ticketPrice);
+      expect(tier[2]).to.equal(ticketCount);
+      expect(tier[3]).to.equal(ticketCount);
+    });
+
+    it("Should total supply across tiers", async function () {
+      const tieredEvent = await cloneEvent();
+      await tieredEvent.initialize(
+        organizer.address,
+        eventName,
+        eventDate,
+        ["Early Bird", "General Admission", "VIP"],
+        [ticketPrice / BigInt(2), ticketPrice, ticketPrice * BigInt(5)],
+        [20, 70, 10],
+        [],
+        await ticketManagerImplementation.getAddress()
+      );
+
+      const details = await tieredEvent.getEventDetails();
+      expect(details[3]).to.equal(ticketPrice / BigInt(2));
+      expect(details[4]).to.equal(100);
+      expect(details[5]).to.equal(100);
+      expect(await tieredEvent.getTierCount()).to.equal(3);
+      expect((await tieredEvent.getTierDetails(2))[0]).to.equal("VIP");
+    });
+
+    it("Should emit TierAdded for each tier", async function () {
+      const tieredEvent = await cloneEvent();
+
+      await expect(
+        tieredEvent.initialize(
+          organizer.address,
+          eventName,
+          eventDate,
+          ["General Admission", "VIP"],
+          [ticketPrice, ticketPrice * BigInt(5)],
+          [90, 10],
+          [],
+          await ticketManagerImplementation.getAddress()
+        )
+      )
+        .to.emit(tieredEvent, "TierAdded")
+        .withArgs(1, "VIP", ticketPrice * BigInt(5), 10);
+    });
+
+    it("Should not allow mismatched tier arrays", async function () {
+      const clone = await cloneEvent();
+      await expect(
+        clone.initialize(
+          organizer.address,
+          eventName,
+          eventDate,
+          ["GA", "VIP"],
+          [ticketPrice],
+          [10, 10],
+          [],
+          await ticketManagerImplementation.getAddress()
+        )
+      ).to.be.revertedWith("Tier arrays length mismatch");
+    });
+
+    it("Should not allow empty tiers", async function () {
+      const clone = await cloneEvent();
+      await expect(
+        clone.initialize(
+          organizer.address,
+          eventName,
+          eventDate,
+          ["GA"],
+          [ticketPrice],
+          [0],
+          [],
+          await ticketManagerImplementation.getAddress()
+        )
+      ).to.be.revertedWith("Tier supply must be greater than 0");
+    });
+
+    it("Should not return details of a nonexistent tier", async function () {
+      await expect(eventCore.getTierDetails(1)).to.be.revertedWith("Tier does not exist");
+    });
+  });
+
+  // Test sale window and price schedule functionality
+  describe("Sale Window and Pricing", function () {
+    it("Should open sales at deployment and close them at the event date", async function () {
+      // The event was initialized in the latest block
+      const initBlock = await ethers.provider.getBlock("latest");
+      expect(await eventCore.saleStart()).to.equal(initBlock.timestamp);
+      expect(await eventCore.saleEnd()).to.equal(eventDate);
+    });
+
+    it("Should allow the organizer to set the sale window", async function () {
+      await expect(eventCore.connect(organizer).setSaleWindow(eventDate - 7200, eventDate - 3600))
+        .to.emit(eventCore, "SaleWindowUpdated")
+        .withArgs(eventDate - 7200, eventDate - 3600);
+      expect(await eventCore.saleEnd()).to.equal(eventDate - 3600);
+    });
+
+    it("Should not allow invalid sale windows", async function () {
+      await expect(
+        eventCore.connect(organizer).setSaleWindow(eventDate - 3600, eventDate - 7200)
+      ).to.be.revertedWith("Sale must start before it ends");
+      await expect(
+        eventCore.connect(organizer).setSaleWindow(eventDate - 3600, eventDate + 1)
+      ).to.be.revertedWith("Sale cannot end after the event");
+      await expect(
+        eventCore.connect(attendee).setSaleWindow(eventDate - 7200, eventDate - 3600)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+
+    it("Should apply the price schedule until each step ends", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const earlyBirdEnd = latestBlock.timestamp + 1000;
+      const earlyBirdPrice = ticketPrice / BigInt(2);
+
+      await expect(eventCore.connect(organizer).setPriceSchedule(0, [earlyBirdEnd], [earlyBirdPrice]))
+        .to.emit(eventCore, "PriceScheduleUpdated")
+        .withArgs(0, 1);
+      expect(await eventCore.getCurrentPrice(0)).to.equal(earlyBirdPrice);
+
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine");
+      expect(await eventCore.getCurrentPrice(0)).to.equal(ticketPrice);
+    });
+
+    it("Should not allow unordered price schedules", async function () {
+      await expect(
+        eventCore.connect(organizer).setPriceSchedule(0, [eventDate - 100, eventDate - 200], [1, 2])
+      ).to.be.revertedWith("Schedule steps must be in increasing order");
+    });
+
+    it("Should charge the scheduled price on purchase", async function () {
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      const ticketManagerContract = TicketManager.attach(await eventCore.ticketManager());
+      const earlyBirdPrice = ticketPrice / BigInt(2);
+      await eventCore.connect(organizer).setPriceSchedule(0, [eventDate - 3600], [earlyBirdPrice]);
+
+      await expect(
+        ticketManagerContract.connect(attendee).buyTicket(0, 2, { value: ticketPrice * BigInt(2) })
+      ).to.changeEtherBalance(attendee, -(earlyBirdPrice * BigInt(2)));
+      expect(await ticketManagerContract.ticketPricePaid(0)).to.equal(earlyBirdPrice);
+    });
+
+    it("Should not sell tickets outside the sale window", async function () {
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      const ticketManagerContract = TicketManager.attach(await eventCore.ticketManager());
+      const latestBlock = await ethers.provider.getBlock("latest");
+
+      await eventCore.connect(organizer).setSaleWindow(latestBlock.timestamp + 1000, eventDate);
+      await expect(
+        ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket sales have not started");
+
+      await eventCore.connect(organizer).setSaleWindow(latestBlock.timestamp - 1000, latestBlock.timestamp + 10);
+      await ethers.provider.send("evm_increaseTime", [20]);
+      await ethers.provider.send("evm_mine");
+      await expect(
+        ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket sales have ended");
+    });
+  });
+
   // Test ticket management functionality
   describe("Ticket Management", function () {
     it("Should allow ticket manager to decrease remaining tickets", async function () {
@@ -71,7 +267,7 @@ describe("EventCore", function () {
       const ticketManagerContract = TicketManager.attach(ticketManager);
 
       // Buy a ticket and verify remaining tickets decrease
-      await ticketManagerContract.connect(attendee).buyTicket(1, { value: ticketPrice });
+      await ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice });
       
       const details = await eventCore.getEventDetails();
       expect(details[5]).to.equal(ticketCount - 1);
@@ -80,7 +276,7 @@ describe("EventCore", function () {
     it("Should not allow non-ticket manager to decrease remaining tickets", async function () {
       // Attempt to decrease tickets directly through EventCore
       await expect(
-        eventCore.connect(attendee).decreaseTicketRemain(1)
+        eventCore.connect(attendee).decreaseTicketRemain(0, 1)
       ).to.be.revertedWith("Only ticket manager can update ticket count");
     });
 
@@ -92,8 +288,710 @@ describe("EventCore", function () {
 
       // Attempt to buy more tickets than available
       await expect(
-        ticketManagerContract.connect(attendee).buyTicket(ticketCount + 1, { value: ticketPrice * BigInt(ticketCount + 1) })
+        ticketManagerContract.connect(attendee).buyTicket(0, ticketCount + 1, { value: ticketPrice * BigInt(ticketCount + 1) })
       ).to.be.revertedWith("Not enough tickets available");
     });
   });
+
+  // Test scanner authorisation
+  describe("Scanners", function () {
+    it("Should allow the organizer to authorise scanners", async function () {
+      await expect(eventCore.connect(organizer).setScanner(attendee.address, true))
+        .to.emit(eventCore, "ScannerUpdated")
+        .withArgs(attendee.address, true);
+      expect(await eventCore.isScanner(attendee.address)).to.be.true;
+
+      await eventCore.connect(organizer).setScanner(attendee.address, false);
+      expect(await eventCore.isScanner(attendee.address)).to.be.false;
+    });
+
+    it("Should always treat the organizer as a scanner", async function () {
+      expect(await eventCore.isScanner(organizer.address)).to.be.true;
+    });
+
+    it("Should not allow others to authorise scanners", async function () {
+      await expect(
+        eventCore.connect(attendee).setScanner(attendee.address, true)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+  });
+
+  // Test two-step organizer handover
+  describe("Organizer Handover", function () {
+    it("Should hand the event over once the new organizer accepts", async function () {
+      await expect(eventCore.connect(organizer).proposeOrganizer(attendee.address))
+        .to.emit(eventCore, "OrganizerProposed")
+        .withArgs(organizer.address, attendee.address);
+      expect(await eventCore.organizer()).to.equal(organizer.address);
+      expect(await eventCore.pendingOrganizer()).to.equal(attendee.address);
+
+      await expect(eventCore.connect(attendee).acceptOrganizer())
+        .to.emit(eventCore, "OrganizerTransferred")
+        .withArgs(organizer.address, attendee.address);
+      expect(await eventCore.organizer()).to.equal(attendee.address);
+      expect(await eventCore.pendingOrganizer()).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        eventCore.connect(organizer).setName("Renamed Event")
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+
+    it("Should only let the proposed organizer accept", async function () {
+      await eventCore.connect(organizer).proposeOrganizer(attendee.address);
+
+      await expect(
+        eventCore.connect(organizer).acceptOrganizer()
+      ).to.be.revertedWith("Only the proposed organizer can accept");
+    });
+
+    it("Should allow cancelling a handover", async function () {
+      await eventCore.connect(organizer).proposeOrganizer(attendee.address);
+      await eventCore.connect(organizer).proposeOrganizer(ethers.ZeroAddress);
+
+      await expect(
+        eventCore.connect(attendee).acceptOrganizer()
+      ).to.be.revertedWith("Only the proposed organizer can accept");
+    });
+
+    it("Should not let others propose an organizer", async function () {
+      await expect(
+        eventCore.connect(attendee).proposeOrganizer(attendee.address)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+  });
+
+  // Test delegated manager roles
+  describe("Manager Roles", function () {
+    it("Should grant and revoke roles", async function () {
+      const role = await eventCore.METADATA_ROLE();
+      await expect(eventCore.connect(organizer).setRole(role, attendee.address, true))
+        .to.emit(eventCore, "RoleUpdated")
+        .withArgs(role, attendee.address, true);
+      expect(await eventCore.hasRole(role, attendee.address)).to.be.true;
+      expect(await eventCore.hasRole(await eventCore.FEATURE_ROLE(), attendee.address)).to.be.false;
+
+      await eventCore.connect(organizer).setRole(role, attendee.address, false);
+      expect(await eventCore.hasRole(role, attendee.address)).to.be.false;
+    });
+
+    it("Should give the organizer every role", async function () {
+      expect(await eventCore.hasRole(await eventCore.METADATA_ROLE(), organizer.address)).to.be.true;
+      expect(await eventCore.hasRole(await eventCore.CHECK_IN_ROLE(), organizer.address)).to.be.true;
+    });
+
+    it("Should treat scanners as holders of the check-in role", async function () {
+      await eventCore.connect(organizer).setScanner(attendee.address, true);
+      expect(await eventCore.hasRole(await eventCore.CHECK_IN_ROLE(), attendee.address)).to.be.true;
+    });
+
+    it("Should not give managers control of the event", async function () {
+      await eventCore.connect(organizer).setRole(await eventCore.METADATA_ROLE(), attendee.address, true);
+
+      await expect(
+        eventCore.connect(attendee).setName("Renamed Event")
+      ).to.be.revertedWith("Only the organizer can call this function");
+      await expect(
+        eventCore.connect(attendee).withdraw()
+      ).to.be.revertedWith("Only a payee can withdraw");
+    });
+
+    it("Should not let others grant roles", async function () {
+      await expect(
+        eventCore.connect(attendee).setRole(await eventCore.METADATA_ROLE(), attendee.address, true)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+  });
+
+  // Test resale terms
+  describe("Resale Terms", function () {
+    it("Should default to face value resales without royalty", async function () {
+      expect(await eventCore.maxResaleMarkupBps()).to.equal(0);
+      expect(await eventCore.royaltyBps()).to.equal(0);
+      expect(await eventCore.getMaxResalePrice(ticketPrice)).to.equal(ticketPrice);
+      expect(await eventCore.getResaleRoyalty(ticketPrice)).to.equal(0);
+    });
+
+    it("Should allow the organizer to set resale terms", async function () {
+      await expect(eventCore.connect(organizer).setResaleTerms(5000, 250))
+        .to.emit(eventCore, "ResaleTermsUpdated")
+        .withArgs(5000, 250);
+
+      expect(await eventCore.getMaxResalePrice(ticketPrice)).to.equal((ticketPrice * 3n) / 2n);
+      expect(await eventCore.getResaleRoyalty(ticketPrice)).to.equal((ticketPrice * 250n) / 10000n);
+    });
+
+    it("Should not allow a royalty above 100%", async function () {
+      await expect(
+        eventCore.connect(organizer).setResaleTerms(0, 10001)
+      ).to.be.revertedWith("Royalty cannot exceed 100%");
+    });
+
+    it("Should not allow others to set resale terms", async function () {
+      await expect(
+        eventCore.connect(attendee).setResaleTerms(1000, 1000)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+  });
+
+  // Test gift settings
+  describe("Gifting", function () {
+    it("Should have gifting disabled by default", async function () {
+      expect(await eventCore.giftingEnabled()).to.be.false;
+    });
+
+    it("Should allow the organizer to toggle gifting", async function () {
+      await expect(eventCore.connect(organizer).setGiftingEnabled(true))
+        .to.emit(eventCore, "GiftingUpdated")
+        .withArgs(true);
+      expect(await eventCore.giftingEnabled()).to.be.true;
+    });
+
+    it("Should not allow others to toggle gifting", async function () {
+      await expect(
+        eventCore.connect(attendee).setGiftingEnabled(true)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+  });
+
+  // Test cancellation and refund functionality
+  describe("Cancellation and Refunds", function () {
+    let ticketManagerContract;
+
+    beforeEach(async function () {
+      const ticketManager = await eventCore.ticketManager();
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManagerContract = TicketManager.attach(ticketManager);
+
+      // Buy tickets so there is something to refund
+      await ticketManagerContract.connect(attendee).buyTicket(0, 2, { value: ticketPrice * BigInt(2) });
+    });
+
+    it("Should keep sale proceeds in escrow", async function () {
+      expect(await ethers.provider.getBalance(await eventCore.getAddress())).to.equal(ticketPrice * BigInt(2));
+      expect(await eventCore.withdrawableProceeds()).to.equal(0);
+    });
+
+    it("Should only allow the organizer to cancel", async function () {
+      await expect(
+        eventCore.connect(attendee).cancelEvent()
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+
+    it("Should emit EventCancelled event", async function () {
+      await expect(eventCore.connect(organizer).cancelEvent())
+        .to.emit(eventCore, "EventCancelled");
+      expect(await eventCore.cancelled()).to.be.true;
+    });
+
+    it("Should not allow buying tickets after cancellation", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Event has been cancelled");
+    });
+
+    it("Should refund holders the price they paid", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        eventCore.connect(attendee).claimRefund([0, 1], attendee.address)
+      ).to.changeEtherBalances([eventCore, attendee], [-(ticketPrice * BigInt(2)), ticketPrice * BigInt(2)]);
+
+      expect(await ticketManagerContract.getTicketBalance(attendee.address)).to.equal(0);
+      expect(await ticketManagerContract.totalPaid()).to.equal(0);
+    });
+
+    it("Should not allow refunds before cancellation", async function () {
+      await expect(
+        eventCore.connect(attendee).claimRefund([0], attendee.address)
+      ).to.be.revertedWith("Refunds are not available");
+    });
+
+    it("Should not refund tickets not owned", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        eventCore.connect(organizer).claimRefund([0], organizer.address)
+      ).to.be.revertedWith("Ticket not owned by holder");
+    });
+
+    it("Should release proceeds to the organizer after the event", async function () {
+      // Snapshot so the time jump does not leak into other suites
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        eventCore.connect(organizer).withdraw()
+      ).to.changeEtherBalance(organizer, ticketPrice * BigInt(2));
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+  });
+
+  // Test organizer edits to the event after creation
+  describe("Event Editing", function () {
+    let ticketManagerContract;
+
+    beforeEach(async function () {
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManagerContract = TicketManager.attach(await eventCore.ticketManager());
+
+      await ticketManagerContract.connect(attendee).buyTicket(0, 2, { value: ticketPrice * BigInt(2) });
+    });
+
+    it("Should allow the organizer to rename the event", async function () {
+      await expect(eventCore.connect(organizer).setName("Renamed Event"))
+        .to.emit(eventCore, "NameUpdated")
+        .withArgs("Renamed Event");
+      expect(await eventCore.name()).to.equal("Renamed Event");
+    });
+
+    it("Should not allow an empty name", async function () {
+      await expect(
+        eventCore.connect(organizer).setName("")
+      ).to.be.revertedWith("Name cannot be empty");
+    });
+
+    it("Should not allow others to edit the event", async function () {
+      await expect(
+        eventCore.connect(attendee).setName("Renamed Event")
+      ).to.be.revertedWith("Only the organizer can call this function");
+      await expect(
+        eventCore.connect(attendee).setDate(eventDate + 86400)
+      ).to.be.revertedWith("Only the organizer can call this function");
+    });
+
+    it("Should open a refund window when the event is postponed", async function () {
+      const newDate = eventDate + 86400 * 30;
+      await expect(eventCore.connect(organizer).setDate(newDate))
+        .to.emit(eventCore, "DateUpdated")
+        .withArgs(eventDate, newDate)
+        .and.to.emit(eventCore, "RefundWindowOpened");
+
+      expect(await eventCore.date()).to.equal(newDate);
+      expect(await eventCore.saleEnd()).to.equal(newDate);
+      expect(await eventCore.refundsAvailable()).to.equal(true);
+
+      await expect(
+        eventCore.connect(attendee).claimRefund([0], attendee.address)
+      ).to.changeEtherBalance(attendee, ticketPrice);
+      expect(await ticketManagerContract.balanceOf(attendee.address)).to.equal(1);
+    });
+
+    it("Should put tickets refunded after a postponement back on sale", async function () {
+      await eventCore.connect(organizer).setDate(eventDate + 86400 * 30);
+      await eventCore.connect(attendee).claimRefund([0], attendee.address);
+
+      expect((await eventCore.getTierDetails(0))[3]).to.equal(ticketCount - 1);
+      expect((await eventCore.getEventDetails())[5]).to.equal(ticketCount - 1);
+
+      // Only the ticket still held counts as sold
+      await eventCore.connect(organizer).setTierSupply(0, 1);
+      expect((await eventCore.getTierDetails(0))[3]).to.equal(0);
+
+      await eventCore.connect(organizer).setTierSupply(0, 2);
+      await ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice });
+      expect(await ticketManagerContract.balanceOf(attendee.address)).to.equal(2);
+    });
+
+    it("Should not put refunded tickets back on sale for a cancelled event", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+      await eventCore.connect(attendee).claimRefund([0, 1], attendee.address);
+
+      expect((await eventCore.getTierDetails(0))[3]).to.equal(ticketCount - 2);
+    });
+
+    it("Should close the refund window after the refund period", async function () {
+      await eventCore.connect(organizer).setDate(eventDate + 86400 * 30);
+
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 7 + 1]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await eventCore.refundsAvailable()).to.equal(false);
+      await expect(
+        eventCore.connect(attendee).claimRefund([0], attendee.address)
+      ).to.be.revertedWith("Refunds are not available");
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should not open a refund window when the event is brought forward", async function () {
+      await expect(eventCore.connect(organizer).setDate(eventDate - 3600))
+        .to.not.emit(eventCore, "RefundWindowOpened");
+      expect(await eventCore.refundsAvailable()).to.equal(false);
+    });
+
+    it("Should not move the event into the past", async function () {
+      const latestBlock = await ethers.provider.getBlock('latest');
+      await expect(
+        eventCore.connect(organizer).setDate(latestBlock.timestamp)
+      ).to.be.revertedWith("Event date must be in the future");
+    });
+
+    it("Should not change the price of tickets already sold", async function () {
+      const newPrice = ticketPrice * BigInt(2);
+      await expect(eventCore.connect(organizer).setTierPrice(0, newPrice))
+        .to.emit(eventCore, "TierPriceUpdated")
+        .withArgs(0, newPrice);
+
+      expect(await eventCore.price()).to.equal(newPrice);
+      expect(await eventCore.getCurrentPrice(0)).to.equal(newPrice);
+      expect(await ticketManagerContract.getTicketsPrice([0, 1])).to.equal(ticketPrice * BigInt(2));
+    });
+
+    it("Should allow releasing more tickets", async function () {
+      await expect(eventCore.connect(organizer).setTierSupply(0, ticketCount + 50))
+        .to.emit(eventCore, "TierSupplyUpdated")
+        .withArgs(0, ticketCount + 50);
+
+      const details = await eventCore.getEventDetails();
+      expect(details[4]).to.equal(ticketCount + 50);
+      expect(details[5]).to.equal(ticketCount + 48);
+    });
+
+    it("Should not drop the supply below tickets sold", async function () {
+      await eventCore.connect(organizer).setTierSupply(0, 2);
+      expect((await eventCore.getTierDetails(0))[3]).to.equal(0);
+
+      await expect(
+        eventCore.connect(organizer).setTierSupply(0, 1)
+      ).to.be.revertedWith("Supply cannot drop below tickets sold");
+    });
+  });
+
+  // Test revenue accounting and withdrawals
+  describe("Revenue Accounting", function () {
+    let ticketManagerContract;
+
+    beforeEach(async function () {
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManagerContract = TicketManager.attach(await eventCore.ticketManager());
+
+      await ticketManagerContract.connect(attendee).buyTicket(0, 2, { value: ticketPrice * BigInt(2) });
+    });
+
+    it("Should track gross primary sales", async function () {
+      expect(await eventCore.grossSales()).to.equal(ticketPrice * BigInt(2));
+      expect(await eventCore.transferFees()).to.equal(0);
+    });
+
+    it("Should track transfer fees separately from sales", async function () {
+      await ticketManagerContract.connect(attendee).transferTicket([0], organizer.address, { value: ticketPrice });
+
+      expect(await eventCore.grossSales()).to.equal(ticketPrice * BigInt(2));
+      expect(await eventCore.transferFees()).to.equal(ticketPrice);
+      expect(await eventCore.withdrawableProceeds()).to.equal(ticketPrice);
+    });
+
+    it("Should track refunds", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+      await eventCore.connect(attendee).claimRefund([0], attendee.address);
+
+      expect(await eventCore.totalRefunded()).to.equal(ticketPrice);
+    });
+
+    it("Should only accept sale deposits from the ticket manager", async function () {
+      await expect(
+        eventCore.connect(attendee).depositSale(ticketPrice, { value: ticketPrice })
+      ).to.be.revertedWith("Only ticket manager can deposit sales");
+    });
+
+    it("Should allow the organizer to withdraw to a payout address", async function () {
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        eventCore.connect(organizer).withdrawTo(attendee.address)
+      ).to.changeEtherBalances([eventCore, attendee], [-(ticketPrice * BigInt(2)), ticketPrice * BigInt(2)]);
+
+      const summary = await eventCore.getRevenueSummary();
+      expect(summary._grossSales).to.equal(ticketPrice * BigInt(2));
+      expect(summary._totalWithdrawn).to.equal(ticketPrice * BigInt(2));
+      expect(summary._withdrawable).to.equal(0);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should not allow withdrawing with nothing available", async function () {
+      await expect(
+        eventCore.connect(organizer).withdraw()
+      ).to.be.revertedWith("No proceeds to withdraw");
+    });
+
+    it("Should not allow others to withdraw", async function () {
+      await expect(
+        eventCore.connect(attendee).withdrawTo(attendee.address)
+      ).to.be.revertedWith("Only a payee can withdraw");
+    });
+
+    it("Should not allow withdrawing to the zero address", async function () {
+      await expect(
+        eventCore.connect(organizer).withdrawTo(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid payout address");
+    });
+  });
+
+  // Test events paid in an ERC-20 token
+  describe("Payment Token", function () {
+    let token;
+    let ticketManagerContract;
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 18);
+      await token.waitForDeployment();
+      await token.mint(attendee.address, ticketPrice * BigInt(10));
+
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManagerContract = TicketManager.attach(await eventCore.ticketManager());
+    });
+
+    it("Should let the factory set the payment token", async function () {
+      await expect(eventCore.connect(organizer).setPaymentToken(await token.getAddress()))
+        .to.emit(eventCore, "PaymentTokenUpdated")
+        .withArgs(await token.getAddress());
+      expect(await eventCore.paymentToken()).to.equal(await token.getAddress());
+    });
+
+    it("Should not let others set the payment token", async function () {
+      await expect(
+        eventCore.connect(attendee).setPaymentToken(await token.getAddress())
+      ).to.be.revertedWith("Only the factory can set the payment token");
+    });
+
+    it("Should not change the payment token after tickets are sold", async function () {
+      await ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice });
+
+      await expect(
+        eventCore.connect(organizer).setPaymentToken(await token.getAddress())
+      ).to.be.revertedWith("Tickets already sold");
+    });
+
+    it("Should pay out proceeds in tokens", async function () {
+      await eventCore.connect(organizer).setPaymentToken(await token.getAddress());
+      await token.connect(attendee).approve(await ticketManagerContract.getAddress(), ticketPrice * BigInt(2));
+      await ticketManagerContract.connect(attendee).buyTicket(0, 2);
+
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await eventCore.withdrawableProceeds()).to.equal(ticketPrice * BigInt(2));
+      await expect(
+        eventCore.connect(organizer).withdraw()
+      ).to.changeTokenBalance(token, organizer, ticketPrice * BigInt(2));
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should not accept Ether for an event paid in tokens", async function () {
+      await eventCore.connect(organizer).setPaymentToken(await token.getAddress());
+
+      await expect(
+        attendee.sendTransaction({ to: await eventCore.getAddress(), value: ticketPrice })
+      ).to.be.revertedWith("Event is paid in tokens");
+    });
+  });
+
+  // Test revenue splits between several payees
+  describe("Revenue Splits", function () {
+    let venue;
+    let splitEvent;
+    let ticketManagerContract;
+
+    beforeEach(async function () {
+      [, , venue] = await ethers.getSigners();
+
+      // Deploy an event paying 70% to the organizer and 30% to the venue
+      splitEvent = await cloneEvent();
+      await splitEvent.initialize(
+        organizer.address,
+        eventName,
+        eventDate,
+        ["General Admission"],
+        [ticketPrice],
+        [ticketCount],
+        [[organizer.address, 7000], [venue.address, 3000]],
+        await ticketManagerImplementation.getAddress()
+      );
+
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManagerContract = TicketManager.attach(await splitEvent.ticketManager());
+    });
+
+    it("Should pay everything to the organizer by default", async function () {
+      expect(await eventCore.getPayeeCount()).to.equal(1);
+      expect(await eventCore.payees(0)).to.equal(organizer.address);
+      expect(await eventCore.payeeShares(organizer.address)).to.equal(10000);
+    });
+
+    it("Should record each payee's share", async function () {
+      expect(await splitEvent.getPayeeCount()).to.equal(2);
+      expect(await splitEvent.payeeShares(organizer.address)).to.equal(7000);
+      expect(await splitEvent.payeeShares(venue.address)).to.equal(3000);
+    });
+
+    it("Should credit every payment across the payees", async function () {
+      await expect(
+        ticketManagerContract.connect(attendee).buyTicket(0, 1, { value: ticketPrice })
+      )
+        .to.emit(splitEvent, "PaymentCredited")
+        .withArgs(organizer.address, ticketPrice * BigInt(7000) / BigInt(10000))
+        .and.to.emit(splitEvent, "PaymentCredited")
+        .withArgs(venue.address, ticketPrice * BigInt(3000) / BigInt(10000));
+    });
+
+    it("Should let each payee withdraw their own share", async function () {
+      await ticketManagerContract.connect(attendee).buyTicket(0, 2, { value: ticketPrice * BigInt(2) });
+
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      const venueShare = ticketPrice * BigInt(2) * BigInt(3000) / BigInt(10000);
+      expect(await splitEvent.withdrawableBy(venue.address)).to.equal(venueShare);
+
+      await expect(
+        splitEvent.connect(venue).withdraw()
+      ).to.changeEtherBalance(venue, venueShare);
+      expect(await splitEvent.withdrawableBy(venue.address)).to.equal(0);
+
+      // The organizer's share is unaffected by the venue's withdrawal
+      await expect(
+        splitEvent.connect(organizer).withdraw()
+      ).to.changeEtherBalance(organizer, ticketPrice * BigInt(2) - venueShare);
+
+      await expect(
+        splitEvent.connect(venue).withdraw()
+      ).to.be.revertedWith("No proceeds to withdraw");
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should move the organizer's share to the new organizer", async function () {
+      await eventCore.connect(organizer).proposeOrganizer(venue.address);
+      await expect(eventCore.connect(venue).acceptOrganizer())
+        .to.emit(eventCore, "PayeeShareTransferred")
+        .withArgs(organizer.address, venue.address, 10000);
+
+      expect(await eventCore.getPayeeCount()).to.equal(1);
+      expect(await eventCore.payees(0)).to.equal(venue.address);
+      expect(await eventCore.payeeShares(venue.address)).to.equal(10000);
+      expect(await eventCore.payeeShares(organizer.address)).to.equal(0);
+
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      const ticketManager = TicketManager.attach(await eventCore.ticketManager());
+      await ticketManager.connect(attendee).buyTicket(0, 1, { value: ticketPrice });
+
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        eventCore.connect(organizer).withdraw()
+      ).to.be.revertedWith("Only a payee can withdraw");
+      await expect(
+        eventCore.connect(venue).withdraw()
+      ).to.changeEtherBalance(venue, ticketPrice);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should merge the organizer's share into a payee taking over", async function () {
+      await ticketManagerContract.connect(attendee).buyTicket(0, 2, { value: ticketPrice * 2n });
+
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      // The organizer withdraws their 70% before handing over to the venue
+      const organizerShare = (ticketPrice * 2n * 7000n) / 10000n;
+      await splitEvent.connect(organizer).withdraw();
+      await splitEvent.connect(organizer).proposeOrganizer(venue.address);
+      await splitEvent.connect(venue).acceptOrganizer();
+
+      expect(await splitEvent.getPayeeCount()).to.equal(1);
+      expect(await splitEvent.payees(0)).to.equal(venue.address);
+      expect(await splitEvent.payeeShares(venue.address)).to.equal(10000);
+
+      // The venue gets its own 30%, not the organizer's share a second time
+      expect(await splitEvent.withdrawableBy(venue.address)).to.equal(ticketPrice * 2n - organizerShare);
+      await expect(
+        splitEvent.connect(venue).withdraw()
+      ).to.changeEtherBalance(venue, ticketPrice * 2n - organizerShare);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should leave shares alone when the organizer holds none", async function () {
+      const clone = await cloneEvent();
+      await clone.initialize(
+        organizer.address,
+        eventName,
+        eventDate,
+        ["General Admission"],
+        [ticketPrice],
+        [ticketCount],
+        [[venue.address, 10000]],
+        await ticketManagerImplementation.getAddress()
+      );
+
+      await clone.connect(organizer).proposeOrganizer(attendee.address);
+      await expect(clone.connect(attendee).acceptOrganizer()).not.to.emit(clone, "PayeeShareTransferred");
+      expect(await clone.payeeShares(venue.address)).to.equal(10000);
+      expect(await clone.payeeShares(attendee.address)).to.equal(0);
+    });
+
+    it("Should not allow shares that do not add up to 100%", async function () {
+      const clone = await cloneEvent();
+      await expect(
+        clone.initialize(
+          organizer.address,
+          eventName,
+          eventDate,
+          ["General Admission"],
+          [ticketPrice],
+          [ticketCount],
+          [[organizer.address, 7000], [venue.address, 2000]],
+          await ticketManagerImplementation.getAddress()
+        )
+      ).to.be.revertedWith("Payee shares must add up to 100%");
+    });
+
+    it("Should not allow the same payee twice", async function () {
+      const clone = await cloneEvent();
+      await expect(
+        clone.initialize(
+          organizer.address,
+          eventName,
+          eventDate,
+          ["General Admission"],
+          [ticketPrice],
+          [ticketCount],
+          [[venue.address, 5000], [venue.address, 5000]],
+          await ticketManagerImplementation.getAddress()
+        )
+      ).to.be.revertedWith("Duplicate payee");
+    });
+
+    it("Should not allow a payee without a share", async function () {
+      const clone = await cloneEvent();
+      await expect(
+        clone.initialize(
+          organizer.address,
+          eventName,
+          eventDate,
+          ["General Admission"],
+          [ticketPrice],
+          [ticketCount],
+          [[organizer.address, 10000], [venue.address, 0]],
+          await ticketManagerImplementation.getAddress()
+        )
+      ).to.be.revertedWith("Payee share must be greater than 0");
+    });
+  });
 }); 
\ No newline at end of file
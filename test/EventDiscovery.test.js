@@ -29,9 +29,14 @@ describe("EventDiscovery", function () {
     const latestBlock = await ethers.provider.getBlock('latest');
     eventDate = latestBlock.timestamp + 86400;
 
-    // Deploy EventFactory
+    // Deploy the implementations events are cloned from, then EventFactory
+    const eventCoreImplementation = await (await ethers.getContractFactory("EventCore")).deploy();
+    const ticketManagerImplementation = await (await ethers.getContractFactory("TicketManager")).deploy();
     const EventFactory = await ethers.getContractFactory("EventFactory");
-    eventFactory = await EventFactory.deploy();
+    eventFactory = await EventFactory.deploy(
+      await eventCoreImplementation.getAddress(),
+      await ticketManagerImplementation.getAddress()
+    );
     await eventFactory.waitForDeployment();
 
     // Deploy EventDiscovery
@@ -110,7 +115,279 @@ describe("EventDiscovery", function () {
           description,
           imageHash
         )
-      ).to.be.revertedWith("Only the organizer can add metadata");
+      ).to.be.revertedWith("Only the organizer or a metadata manager can add metadata");
+    });
+
+    it("Should not allow adding metadata twice", async function () {
+      await eventDiscovery.connect(organizer).addEventMetadata(0, 0, "New York", "A great music event", "QmHash123");
+
+      await expect(
+        eventDiscovery.connect(organizer).addEventMetadata(0, 1, "Boston", "Moved", "QmHash456")
+      ).to.be.revertedWith("Event metadata already exists");
+      expect(await eventDiscovery.getCategoryEventCount(0)).to.equal(1);
+      expect(await eventDiscovery.getCategoryEventCount(1)).to.equal(0);
+    });
+
+    it("Should not return metadata that was never added", async function () {
+      await expect(eventDiscovery.getEventMetadata(0)).to.be.revertedWith(
+        "Event metadata does not exist"
+      );
+    });
+  });
+
+  // Test editing event metadata
+  describe("Metadata Updates", function () {
+    beforeEach(async function () {
+      await eventDiscovery.connect(organizer).addEventMetadata(
+        0,
+        0, // Music
+        "New York",
+        "A great music event",
+        "QmHash123"
+      );
+    });
+
+    it("Should update location, description and image", async function () {
+      await eventDiscovery.connect(organizer).featureEvent(0);
+      const createdAt = (await eventDiscovery.eventMetadata(0)).createdAt;
+
+      await expect(
+        eventDiscovery.connect(organizer).updateEventMetadata(0, 0, "Boston", "Moved to Boston", "QmHash456")
+      )
+        .to.emit(eventDiscovery, "EventMetadataUpdated")
+        .withArgs(0, 0);
+
+      const metadata = await eventDiscovery.eventMetadata(0);
+      expect(metadata.location).to.equal("Boston");
+      expect(metadata.description).to.equal("Moved to Boston");
+      expect(metadata.imageHash).to.equal("QmHash456");
+      expect(metadata.createdAt).to.equal(createdAt);
+      expect(metadata.isFeatured).to.be.true;
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 10)).to.deep.equal([0n]);
+    });
+
+    it("Should move an event to another category", async function () {
+      // Add a second music event so the removal leaves others in place
+      await eventFactory.connect(organizer).createEvent(
+        "Another Music Event",
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+      await eventDiscovery.connect(organizer).addEventMetadata(1, 0, "Chicago", "Another music event", "QmHash789");
+
+      await eventDiscovery.connect(organizer).updateEventMetadata(0, 2, "New York", "Now an arts event", "QmHash123");
+
+      expect((await eventDiscovery.eventMetadata(0)).category).to.equal(2);
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 10)).to.deep.equal([1n]);
+      expect(await eventDiscovery.getEventsByCategory(2, 0, 10)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getCategoryEventCount(0)).to.equal(1);
+      expect(await eventDiscovery.getCategoryEventCount(2)).to.equal(1);
+    });
+
+    it("Should let a metadata manager update metadata", async function () {
+      await eventCore.connect(organizer).setRole(await eventCore.METADATA_ROLE(), user1.address, true);
+
+      await expect(
+        eventDiscovery.connect(user1).updateEventMetadata(0, 0, "Boston", "Moved", "QmHash456")
+      ).to.emit(eventDiscovery, "EventMetadataUpdated");
+    });
+
+    it("Should not allow others to update metadata", async function () {
+      await expect(
+        eventDiscovery.connect(user1).updateEventMetadata(0, 0, "Boston", "Moved", "QmHash456")
+      ).to.be.revertedWith("Only the organizer or a metadata manager can update metadata");
+    });
+
+    it("Should not update metadata that was never added", async function () {
+      await eventFactory.connect(organizer).createEvent(
+        "Bare Event",
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      await expect(
+        eventDiscovery.connect(organizer).updateEventMetadata(1, 0, "Boston", "Moved", "QmHash456")
+      ).to.be.revertedWith("Event metadata does not exist");
+    });
+  });
+
+  // Test managed categories and tags
+  describe("Categories and Tags", function () {
+    beforeEach(async function () {
+      await eventDiscovery.connect(organizer).addEventMetadata(0, 0, "New York", "A great music event", "QmHash123");
+    });
+
+    it("Should let the owner add categories", async function () {
+      await expect(eventDiscovery.connect(owner).addCategory("Festivals"))
+        .to.emit(eventDiscovery, "CategoryAdded")
+        .withArgs(6, "Festivals");
+
+      expect(await eventDiscovery.getCategoryCount()).to.equal(7);
+      expect(await eventDiscovery.getCategoryName(0)).to.equal("Music");
+      expect(await eventDiscovery.getCategoryName(5)).to.equal("Other");
+      expect(await eventDiscovery.getCategoryName(6)).to.equal("Festivals");
+      await expect(eventDiscovery.getCategoryName(7)).to.be.revertedWith("Category does not exist");
+    });
+
+    it("Should not let others add categories", async function () {
+      await expect(
+        eventDiscovery.connect(organizer).addCategory("Festivals")
+      ).to.be.revertedWith("Only the owner can call this function");
+      await expect(
+        eventDiscovery.connect(owner).addCategory("")
+      ).to.be.revertedWith("Category name cannot be empty");
+    });
+
+    it("Should only use categories that exist", async function () {
+      await eventFactory.connect(organizer).createEvent("Second Event", eventDate, ticketPrice, ticketCount);
+
+      await expect(
+        eventDiscovery.connect(organizer).addEventMetadata(1, 6, "Boston", "Unknown category", "QmHash456")
+      ).to.be.revertedWith("Category does not exist");
+      await expect(
+        eventDiscovery.connect(organizer).addEventCategory(0, 6)
+      ).to.be.revertedWith("Category does not exist");
+
+      await eventDiscovery.connect(owner).addCategory("Festivals");
+      await eventDiscovery.connect(organizer).addEventMetadata(1, 6, "Boston", "A festival", "QmHash456");
+      expect(await eventDiscovery.getEventsByCategory(6, 0, 10)).to.deep.equal([1n]);
+    });
+
+    it("Should list an event in several categories", async function () {
+      await eventDiscovery.connect(owner).addCategory("Festivals");
+
+      await expect(eventDiscovery.connect(organizer).addEventCategory(0, 6))
+        .to.emit(eventDiscovery, "EventCategoryAdded")
+        .withArgs(0, 6);
+      await eventDiscovery.connect(organizer).addEventCategory(0, 2);
+
+      expect(await eventDiscovery.getEventCategories(0)).to.deep.equal([0n, 6n, 2n]);
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 10)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getEventsByCategory(2, 0, 10)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getEventsByCategory(6, 0, 10)).to.deep.equal([0n]);
+
+      await expect(
+        eventDiscovery.connect(organizer).addEventCategory(0, 0)
+      ).to.be.revertedWith("Event is already in this category");
+      await expect(
+        eventDiscovery.connect(organizer).addEventCategory(0, 6)
+      ).to.be.revertedWith("Event is already in this category");
+    });
+
+    it("Should limit the number of additional categories", async function () {
+      for (let category = 1; category <= 5; category++) {
+        await eventDiscovery.connect(organizer).addEventCategory(0, category);
+      }
+      await eventDiscovery.connect(owner).addCategory("Festivals");
+
+      await expect(
+        eventDiscovery.connect(organizer).addEventCategory(0, 6)
+      ).to.be.revertedWith("Too many categories");
+    });
+
+    it("Should remove an event from an additional category", async function () {
+      await eventDiscovery.connect(organizer).addEventCategory(0, 2);
+
+      await expect(eventDiscovery.connect(organizer).removeEventCategory(0, 2))
+        .to.emit(eventDiscovery, "EventCategoryRemoved")
+        .withArgs(0, 2);
+
+      expect(await eventDiscovery.getEventCategories(0)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getEventsByCategory(2, 0, 10)).to.deep.equal([]);
+      await expect(
+        eventDiscovery.connect(organizer).removeEventCategory(0, 0)
+      ).to.be.revertedWith("Event is not in this additional category");
+    });
+
+    it("Should promote an additional category to primary without listing twice", async function () {
+      await eventDiscovery.connect(organizer).addEventCategory(0, 2);
+
+      await eventDiscovery.connect(organizer).updateEventMetadata(0, 2, "New York", "Now an arts event", "QmHash123");
+
+      expect(await eventDiscovery.getEventCategories(0)).to.deep.equal([2n]);
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 10)).to.deep.equal([]);
+      expect(await eventDiscovery.getCategoryEventCount(2)).to.equal(1);
+    });
+
+    it("Should tag events and look them up by tag", async function () {
+      await eventFactory.connect(organizer).createEvent("Second Event", eventDate, ticketPrice, ticketCount);
+      await eventDiscovery.connect(organizer).addEventMetadata(1, 1, "Boston", "A sports event", "QmHash456");
+
+      await expect(eventDiscovery.connect(organizer).addEventTag(0, "outdoor"))
+        .to.emit(eventDiscovery, "EventTagAdded")
+        .withArgs(0, "outdoor");
+      await eventDiscovery.connect(organizer).addEventTag(0, "18+");
+      await eventDiscovery.connect(organizer).addEventTag(1, "outdoor");
+
+      expect(await eventDiscovery.getEventTags(0)).to.deep.equal(["outdoor", "18+"]);
+      expect(await eventDiscovery.getEventsByTag("outdoor", 0, 10)).to.deep.equal([0n, 1n]);
+      expect(await eventDiscovery.getEventsByTag("outdoor", 1, 10)).to.deep.equal([1n]);
+      expect(await eventDiscovery.getEventsByTag("18+", 0, 10)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getEventsByTag("Outdoor", 0, 10)).to.deep.equal([]);
+      expect(await eventDiscovery.getTagEventCount("outdoor")).to.equal(2);
+    });
+
+    it("Should remove tags", async function () {
+      await eventDiscovery.connect(organizer).addEventTag(0, "outdoor");
+      await eventDiscovery.connect(organizer).addEventTag(0, "18+");
+      await eventDiscovery.connect(organizer).addEventTag(0, "indoor");
+
+      await expect(eventDiscovery.connect(organizer).removeEventTag(0, "outdoor"))
+        .to.emit(eventDiscovery, "EventTagRemoved")
+        .withArgs(0, "outdoor");
+
+      // The remaining tags keep their order
+      expect(await eventDiscovery.getEventTags(0)).to.deep.equal(["18+", "indoor"]);
+      expect(await eventDiscovery.getEventsByTag("outdoor", 0, 10)).to.deep.equal([]);
+      await expect(
+        eventDiscovery.connect(organizer).removeEventTag(0, "outdoor")
+      ).to.be.revertedWith("Event does not have this tag");
+    });
+
+    it("Should reject invalid and duplicate tags", async function () {
+      await eventDiscovery.connect(organizer).addEventTag(0, "outdoor");
+
+      await expect(
+        eventDiscovery.connect(organizer).addEventTag(0, "outdoor")
+      ).to.be.revertedWith("Event already has this tag");
+      await expect(
+        eventDiscovery.connect(organizer).addEventTag(0, "")
+      ).to.be.revertedWith("Invalid tag length");
+      await expect(
+        eventDiscovery.connect(organizer).addEventTag(0, "x".repeat(33))
+      ).to.be.revertedWith("Invalid tag length");
+
+      for (let i = 1; i < 10; i++) {
+        await eventDiscovery.connect(organizer).addEventTag(0, `tag${i}`);
+      }
+      await expect(
+        eventDiscovery.connect(organizer).addEventTag(0, "tag10")
+      ).to.be.revertedWith("Too many tags");
+    });
+
+    it("Should only let the organizer or a metadata manager change categories and tags", async function () {
+      await expect(
+        eventDiscovery.connect(user1).addEventTag(0, "outdoor")
+      ).to.be.revertedWith("Only the organizer or a metadata manager can update metadata");
+      await expect(
+        eventDiscovery.connect(user1).addEventCategory(0, 2)
+      ).to.be.revertedWith("Only the organizer or a metadata manager can update metadata");
+
+      await eventCore.connect(organizer).setRole(await eventCore.METADATA_ROLE(), user1.address, true);
+      await eventDiscovery.connect(user1).addEventTag(0, "outdoor");
+      await eventDiscovery.connect(user1).addEventCategory(0, 2);
+      expect(await eventDiscovery.getEventCategories(0)).to.deep.equal([0n, 2n]);
+    });
+
+    it("Should include categories and tags in event summaries", async function () {
+      await eventDiscovery.connect(organizer).addEventCategory(0, 2);
+      await eventDiscovery.connect(organizer).addEventTag(0, "outdoor");
+
+      const [summary] = await eventDiscovery.getEventsSummary([0]);
+      expect(summary.metadata.additionalCategories).to.deep.equal([2n]);
+      expect(summary.metadata.tags).to.deep.equal(["outdoor"]);
     });
   });
 
@@ -164,11 +441,48 @@ describe("EventDiscovery", function () {
     it("Should not allow non-organizer to feature/unfeature", async function () {
       await expect(
         eventDiscovery.connect(user1).featureEvent(0)
-      ).to.be.revertedWith("Only the organizer can feature this event");
+      ).to.be.revertedWith("Only the organizer or a feature manager can feature this event");
 
       await expect(
         eventDiscovery.connect(user1).unfeatureEvent(0)
-      ).to.be.revertedWith("Only the organizer can unfeature this event");
+      ).to.be.revertedWith("Only the organizer or a feature manager can unfeature this event");
+    });
+  });
+
+  // Test delegated event managers
+  describe("Event Managers", function () {
+    it("Should let a metadata manager add metadata", async function () {
+      await eventCore.connect(organizer).setRole(await eventCore.METADATA_ROLE(), user1.address, true);
+
+      await expect(
+        eventDiscovery.connect(user1).addEventMetadata(0, 0, "New York", "A great music event", "QmHash123")
+      ).to.emit(eventDiscovery, "EventMetadataAdded");
+    });
+
+    it("Should let a feature manager feature an event", async function () {
+      await eventDiscovery.connect(organizer).addEventMetadata(0, 0, "New York", "A great music event", "QmHash123");
+      await eventCore.connect(organizer).setRole(await eventCore.FEATURE_ROLE(), user1.address, true);
+
+      await expect(eventDiscovery.connect(user1).featureEvent(0))
+        .to.emit(eventDiscovery, "EventFeatured")
+        .withArgs(0);
+
+      // Featuring does not extend to editing metadata
+      await expect(
+        eventDiscovery.connect(user1).addEventMetadata(0, 0, "Boston", "Moved", "QmHash456")
+      ).to.be.revertedWith("Only the organizer or a metadata manager can add metadata");
+    });
+
+    it("Should honour an organizer handover", async function () {
+      await eventCore.connect(organizer).proposeOrganizer(user1.address);
+      await eventCore.connect(user1).acceptOrganizer();
+
+      await expect(
+        eventDiscovery.connect(organizer).addEventMetadata(0, 0, "New York", "A great music event", "QmHash123")
+      ).to.be.revertedWith("Only the organizer or a metadata manager can add metadata");
+      await expect(
+        eventDiscovery.connect(user1).addEventMetadata(0, 0, "New York", "A great music event", "QmHash123")
+      ).to.emit(eventDiscovery, "EventMetadataAdded");
     });
   });
 
@@ -206,14 +520,14 @@ describe("EventDiscovery", function () {
       // Feature the first event
       await eventDiscovery.connect(organizer).featureEvent(0);
       
-      const featuredEvents = await eventDiscovery.getFeaturedEvents(10);
+      const featuredEvents = await eventDiscovery.getFeaturedEvents(0, 10);
       expect(featuredEvents.length).to.equal(1);
       expect(featuredEvents[0]).to.equal(0);
     });
 
     it("Should get events by category", async function () {
-      const musicEvents = await eventDiscovery.getEventsByCategory(0, 10); // Music category
-      const sportsEvents = await eventDiscovery.getEventsByCategory(1, 10); // Sports category
+      const musicEvents = await eventDiscovery.getEventsByCategory(0, 0, 10); // Music category
+      const sportsEvents = await eventDiscovery.getEventsByCategory(1, 0, 10); // Sports category
       
       expect(musicEvents.length).to.equal(1);
       expect(sportsEvents.length).to.equal(1);
@@ -228,10 +542,343 @@ describe("EventDiscovery", function () {
       expect(musicCount).to.equal(1);
       expect(sportsCount).to.equal(1);
     });
+
+    it("Should page through events by category", async function () {
+      // Add three more music events
+      for (let i = 2; i < 5; i++) {
+        await eventFactory.connect(organizer).createEvent(
+          `Music Event ${i}`,
+          eventDate,
+          ticketPrice,
+          ticketCount
+        );
+        await eventDiscovery.connect(organizer).addEventMetadata(
+          i,
+          0, // Music
+          "New York",
+          "Another music event",
+          "QmHash123"
+        );
+      }
+
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 2)).to.deep.equal([0n, 2n]);
+      expect(await eventDiscovery.getEventsByCategory(0, 2, 2)).to.deep.equal([3n, 4n]);
+      expect(await eventDiscovery.getEventsByCategory(0, 4, 2)).to.deep.equal([]);
+      expect(await eventDiscovery.getEventsByCategory(0, 3, 10)).to.deep.equal([4n]);
+    });
+
+    it("Should page through featured events", async function () {
+      await eventDiscovery.connect(organizer).featureEvent(0);
+      await eventDiscovery.connect(organizer).featureEvent(1);
+
+      expect(await eventDiscovery.getFeaturedEventCount()).to.equal(2);
+      expect(await eventDiscovery.getFeaturedEvents(0, 1)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getFeaturedEvents(1, 1)).to.deep.equal([1n]);
+      expect(await eventDiscovery.getFeaturedEvents(2, 1)).to.deep.equal([]);
+    });
+
+    it("Should keep listings in order when an event is removed", async function () {
+      for (let i = 2; i < 5; i++) {
+        await eventFactory.connect(organizer).createEvent(
+          `Music Event ${i}`,
+          eventDate,
+          ticketPrice,
+          ticketCount
+        );
+        await eventDiscovery.connect(organizer).addEventMetadata(
+          i,
+          0, // Music
+          "New York",
+          "Another music event",
+          "QmHash123"
+        );
+      }
+      for (const eventId of [0, 2, 3, 4]) {
+        await eventDiscovery.connect(organizer).featureEvent(eventId);
+        await eventDiscovery.connect(organizer).addEventTag(eventId, "outdoor");
+      }
+
+      // Take event 2 out of each list; the events after it keep their order
+      await eventDiscovery.connect(organizer).updateEventMetadata(
+        2,
+        1, // Sports
+        "New York",
+        "Another music event",
+        "QmHash123"
+      );
+      await eventDiscovery.connect(organizer).unfeatureEvent(2);
+      await eventDiscovery.connect(organizer).removeEventTag(2, "outdoor");
+
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 2)).to.deep.equal([0n, 3n]);
+      expect(await eventDiscovery.getEventsByCategory(0, 2, 2)).to.deep.equal([4n]);
+      expect(await eventDiscovery.getFeaturedEvents(0, 2)).to.deep.equal([0n, 3n]);
+      expect(await eventDiscovery.getFeaturedEvents(2, 2)).to.deep.equal([4n]);
+      expect(await eventDiscovery.getEventsByTag("outdoor", 0, 2)).to.deep.equal([0n, 3n]);
+      expect(await eventDiscovery.getEventsByTag("outdoor", 2, 2)).to.deep.equal([4n]);
+    });
+
+    it("Should get the summary of several events in one call", async function () {
+      const summaries = await eventDiscovery.getEventsSummary([1, 0]);
+
+      expect(summaries.length).to.equal(2);
+      expect(summaries[0].eventId).to.equal(1);
+      expect(summaries[0].eventContract).to.equal(await eventFactory.getEventContract(1));
+      expect(summaries[0].name).to.equal("Sports Event");
+      expect(summaries[0].date).to.equal(eventDate);
+      expect(summaries[0].price).to.equal(ticketPrice);
+      expect(summaries[0].ticketRemain).to.equal(ticketCount);
+      expect(summaries[0].metadata.category).to.equal(1);
+      expect(summaries[0].metadata.location).to.equal("Los Angeles");
+      expect(summaries[1].name).to.equal(eventName);
+      expect(summaries[1].metadata.imageHash).to.equal("QmHash123");
+    });
+
+    it("Should leave metadata empty in the summary of an event without any", async function () {
+      await eventFactory.connect(organizer).createEvent(
+        "Bare Event",
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      const [summary] = await eventDiscovery.getEventsSummary([2]);
+      expect(summary.name).to.equal("Bare Event");
+      expect(summary.metadata.createdAt).to.equal(0);
+      expect(summary.metadata.location).to.equal("");
+    });
+
+    it("Should not summarize an event that does not exist", async function () {
+      await expect(
+        eventDiscovery.getEventsSummary([0, 5])
+      ).to.be.revertedWith("Event does not exist");
+    });
+
+    it("Should leave blocked events out of listings", async function () {
+      const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+      const circuitBreaker = await CircuitBreaker.deploy(await eventFactory.getAddress());
+      await eventFactory.setCircuitBreaker(await circuitBreaker.getAddress());
+
+      // Add a second music event and feature both
+      await eventFactory.connect(organizer).createEvent(
+        "Another Music Event",
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+      await eventDiscovery.connect(organizer).addEventMetadata(
+        2,
+        0, // Music
+        "Chicago",
+        "Another music event",
+        "QmHash789"
+      );
+      await eventDiscovery.connect(organizer).featureEvent(0);
+      await eventDiscovery.connect(organizer).featureEvent(2);
+
+      await circuitBreaker.connect(owner).blockEvent(0, "Reported as a scam");
+      expect(await eventDiscovery.isEventBlocked(0)).to.be.true;
+
+      const featuredEvents = await eventDiscovery.getFeaturedEvents(0, 10);
+      expect(featuredEvents.length).to.equal(1);
+      expect(featuredEvents[0]).to.equal(2);
+
+      // Pages are taken before filtering, so a blocked event leaves a gap
+      expect(await eventDiscovery.getFeaturedEvents(0, 1)).to.deep.equal([]);
+      expect(await eventDiscovery.getFeaturedEvents(1, 1)).to.deep.equal([2n]);
+
+      const musicEvents = await eventDiscovery.getEventsByCategory(0, 0, 10);
+      expect(musicEvents.length).to.equal(1);
+      expect(musicEvents[0]).to.equal(2);
+
+      await circuitBreaker.connect(owner).unblockEvent(0);
+      expect(await eventDiscovery.getEventsByCategory(0, 0, 10)).to.deep.equal([0n, 2n]);
+    });
+  });
+
+  // Test date-based listings
+  describe("Event Dates", function () {
+    let laterDate;
+    let latestDate;
+    let snapshot;
+
+    beforeEach(async function () {
+      laterDate = eventDate + 86400;
+      latestDate = eventDate + 86400 * 2;
+
+      // Events 1 and 2 take place after event 0, event 2 before event 1
+      await eventFactory.connect(organizer).createEvent(
+        "Latest Event",
+        latestDate,
+        ticketPrice,
+        ticketCount
+      );
+      await eventFactory.connect(organizer).createEvent(
+        "Later Event",
+        laterDate,
+        ticketPrice,
+        ticketCount
+      );
+      for (let i = 0; i < 3; i++) {
+        await eventDiscovery.connect(organizer).addEventMetadata(
+          i,
+          0, // Music
+          "New York",
+          "A great music event",
+          "QmHash123"
+        );
+      }
+
+      snapshot = await ethers.provider.send("evm_snapshot");
+    });
+
+    afterEach(async function () {
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    // Move past the date of event 0 only
+    async function passFirstEvent() {
+      await ethers.provider.send("evm_setNextBlockTimestamp", [eventDate + 3600]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    it("Should list only upcoming events", async function () {
+      expect(await eventDiscovery.getUpcomingEvents(0, 10)).to.deep.equal([0n, 1n, 2n]);
+
+      await passFirstEvent();
+      expect(await eventDiscovery.getUpcomingEvents(0, 10)).to.deep.equal([1n, 2n]);
+      expect(await eventDiscovery.getUpcomingEvents(2, 10)).to.deep.equal([2n]);
+      expect(await eventDiscovery.getUpcomingEvents(3, 10)).to.deep.equal([]);
+    });
+
+    it("Should page over event IDs before filtering", async function () {
+      await passFirstEvent();
+
+      // Only event 0 is read, and it has taken place
+      expect(await eventDiscovery.getUpcomingEvents(0, 1)).to.deep.equal([]);
+      expect(await eventDiscovery.getUpcomingEvents(1, 1)).to.deep.equal([1n]);
+      expect(await eventDiscovery.getUpcomingEvents(2, 1)).to.deep.equal([2n]);
+      expect(await eventDiscovery.getUpcomingEvents(0, 0)).to.deep.equal([]);
+      expect(
+        await eventDiscovery.getUpcomingEvents(1, ethers.MaxUint256)
+      ).to.deep.equal([1n, 2n]);
+
+      expect(
+        await eventDiscovery.getEventsInDateRange(eventDate, laterDate, 0, 2)
+      ).to.deep.equal([0n]);
+      expect(
+        await eventDiscovery.getEventsInDateRange(eventDate, laterDate, 2, 2)
+      ).to.deep.equal([2n]);
+    });
+
+    it("Should list events within a date range", async function () {
+      expect(
+        await eventDiscovery.getEventsInDateRange(eventDate, laterDate, 0, 10)
+      ).to.deep.equal([0n, 2n]);
+      expect(
+        await eventDiscovery.getEventsInDateRange(laterDate, latestDate, 0, 10)
+      ).to.deep.equal([1n, 2n]);
+      expect(
+        await eventDiscovery.getEventsInDateRange(latestDate + 1, latestDate + 86400, 0, 10)
+      ).to.deep.equal([]);
+
+      await expect(
+        eventDiscovery.getEventsInDateRange(laterDate, eventDate, 0, 10)
+      ).to.be.revertedWith("Invalid date range");
+    });
+
+    it("Should sort events in a category by date", async function () {
+      expect(
+        await eventDiscovery.getEventsByCategorySortedByDate(0, false, 0, 10)
+      ).to.deep.equal([0n, 2n, 1n]);
+      // Pages follow the listing order and are sorted on their own
+      expect(
+        await eventDiscovery.getEventsByCategorySortedByDate(0, false, 0, 2)
+      ).to.deep.equal([0n, 1n]);
+      expect(
+        await eventDiscovery.getEventsByCategorySortedByDate(0, false, 1, 2)
+      ).to.deep.equal([2n, 1n]);
+
+      await passFirstEvent();
+      expect(
+        await eventDiscovery.getEventsByCategorySortedByDate(0, true, 0, 10)
+      ).to.deep.equal([2n, 1n]);
+      expect(
+        await eventDiscovery.getEventsByCategorySortedByDate(0, false, 0, 10)
+      ).to.deep.equal([0n, 2n, 1n]);
+    });
+
+    it("Should drop past events from the featured list", async function () {
+      await eventDiscovery.connect(organizer).featureEvent(0);
+      await eventDiscovery.connect(organizer).featureEvent(1);
+
+      await passFirstEvent();
+      expect(await eventDiscovery.getFeaturedEvents(0, 10)).to.deep.equal([1n]);
+    });
+
+    it("Should not feature an event that has already taken place", async function () {
+      await passFirstEvent();
+
+      await expect(
+        eventDiscovery.connect(organizer).featureEvent(0)
+      ).to.be.revertedWith("Event has already occurred");
+    });
+  });
+
+  // Test upgrading the discovery contract behind a proxy
+  describe("Upgrades", function () {
+    it("Should keep event metadata across an upgrade", async function () {
+      const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+      const proxyAdmin = await ProxyAdmin.deploy();
+      const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+      const proxy = await Proxy.deploy(
+        await eventDiscovery.getAddress(),
+        await proxyAdmin.getAddress(),
+        eventDiscovery.interface.encodeFunctionData("initialize", [
+          await eventFactory.getAddress(),
+        ])
+      );
+      const discovery = eventDiscovery.attach(await proxy.getAddress());
+
+      await discovery.connect(organizer).addEventMetadata(
+        0,
+        0, // Music
+        "New York",
+        "A great music event",
+        "QmHash123"
+      );
+      await discovery.connect(organizer).featureEvent(0);
+
+      // Upgrade to a version that appends state after the existing variables
+      const EventDiscoveryV2 = await ethers.getContractFactory("EventDiscoveryV2");
+      const newImplementation = await EventDiscoveryV2.deploy(await eventFactory.getAddress());
+      await proxyAdmin.upgradeAndCall(
+        await proxy.getAddress(),
+        await newImplementation.getAddress(),
+        EventDiscoveryV2.interface.encodeFunctionData("initializeV2")
+      );
+
+      const metadata = await discovery.getEventMetadata(0);
+      expect(metadata[1]).to.equal("New York");
+      expect(await discovery.getFeaturedEvents(0, 10)).to.deep.equal([0n]);
+      expect(await discovery.eventFactory()).to.equal(await eventFactory.getAddress());
+
+      // The appended state is usable and doesn't overwrite the old state
+      const discoveryV2 = EventDiscoveryV2.attach(await proxy.getAddress());
+      expect(await discoveryV2.version()).to.equal(2);
+      await discoveryV2.setNote(0, "Doors at 7pm");
+      expect(await discoveryV2.notes(0)).to.equal("Doors at 7pm");
+      expect((await discoveryV2.getEventMetadata(0))[2]).to.equal("A great music event");
+      await expect(discoveryV2.initializeV2()).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
   });
 
   // Test event popularity functionality
   describe("Event Popularity", function () {
+    let ticketManager;
+    let userTicketHub;
+
     beforeEach(async function () {
       // Add metadata first
       await eventDiscovery.connect(organizer).addEventMetadata(
@@ -241,27 +888,159 @@ describe("EventDiscovery", function () {
         "A great music event",
         "QmHash123"
       );
+
+      const UserTicketHub = await ethers.getContractFactory("UserTicketHub");
+      userTicketHub = await UserTicketHub.deploy(await eventFactory.getAddress());
+      await eventFactory.connect(owner).setUserTicketHub(await userTicketHub.getAddress());
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManager = TicketManager.attach(await eventCore.ticketManager());
     });
 
-    it("Should allow updating event popularity", async function () {
-      const newPopularity = 100;
-      await eventDiscovery.connect(organizer).updateEventPopularity(0, newPopularity);
-      
+    it("Should start with no popularity", async function () {
+      expect(await eventDiscovery.getPopularity(0)).to.equal(0);
+
       const metadata = await eventDiscovery.getEventMetadata(0);
-      expect(metadata[6]).to.equal(newPopularity); // popularity
+      expect(metadata[6]).to.equal(0); // popularity
     });
 
-    it("Should emit EventPopularityUpdated event", async function () {
-      const newPopularity = 100;
-      await expect(eventDiscovery.connect(organizer).updateEventPopularity(0, newPopularity))
-        .to.emit(eventDiscovery, "EventPopularityUpdated")
-        .withArgs(0, newPopularity);
+    it("Should score tickets sold", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 2, { value: ticketPrice * 2n });
+
+      expect(await eventDiscovery.getPopularity(0)).to.equal(2n * (await eventDiscovery.TICKET_SALE_WEIGHT()));
     });
 
-    it("Should not allow non-organizer to update popularity", async function () {
-      await expect(
-        eventDiscovery.connect(user1).updateEventPopularity(0, 100)
-      ).to.be.revertedWith("Only the organizer can update popularity");
+    it("Should score favorites", async function () {
+      await userTicketHub.connect(user1).favoriteEvent(0);
+      expect(await eventDiscovery.getPopularity(0)).to.equal(await eventDiscovery.FAVORITE_WEIGHT());
+
+      await userTicketHub.connect(user1).unfavoriteEvent(0);
+      expect(await eventDiscovery.getPopularity(0)).to.equal(0);
+    });
+
+    it("Should not score moving tickets back and forth", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+      for (let i = 0; i < 3; i++) {
+        await ticketManager.connect(user1).transferTicket([0], owner.address, { value: ticketPrice });
+        await ticketManager.connect(owner).transferTicket([0], user1.address, { value: ticketPrice });
+      }
+
+      expect(await eventDiscovery.getPopularity(0)).to.equal(await eventDiscovery.TICKET_SALE_WEIGHT());
+    });
+
+    it("Should not score refunded tickets", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 2, { value: ticketPrice * 2n });
+      await eventCore.connect(organizer).cancelEvent();
+      await userTicketHub.connect(user1).claimRefund(0);
+
+      expect(await eventDiscovery.getPopularity(0)).to.equal(0);
+    });
+
+    it("Should report the computed popularity in metadata and summaries", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+      const popularity = await eventDiscovery.getPopularity(0);
+
+      expect((await eventDiscovery.getEventMetadata(0))[6]).to.equal(popularity);
+      const [summary] = await eventDiscovery.getEventsSummary([0]);
+      expect(summary.metadata.popularity).to.equal(popularity);
+    });
+
+    it("Should not score events that do not exist", async function () {
+      await expect(eventDiscovery.getPopularity(1)).to.be.revertedWith("Event does not exist");
+    });
+
+    it("Should rank trending events by popularity", async function () {
+      for (let i = 1; i <= 2; i++) {
+        await eventFactory.connect(organizer).createEvent(`Event ${i}`, eventDate, ticketPrice, ticketCount);
+      }
+
+      // Event 1 sells two tickets, event 0 is favorited and event 2 sees no activity
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const secondEvent = EventCore.attach(await eventFactory.getEventContract(1));
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      const secondTicketManager = TicketManager.attach(await secondEvent.ticketManager());
+      await secondTicketManager.connect(user1).buyTicket(0, 2, { value: ticketPrice * 2n });
+      await userTicketHub.connect(user1).favoriteEvent(0);
+
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 10, 10)).to.deep.equal([1n, 0n]);
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 10, 1)).to.deep.equal([1n]);
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 10, 0)).to.deep.equal([]);
+
+      // Only the events in the range are scored
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 1, 10)).to.deep.equal([0n]);
+      expect(await eventDiscovery.getTrendingEventsInRange(1, 2, 10)).to.deep.equal([1n]);
+      expect(await eventDiscovery.getTrendingEventsInRange(3, 10, 10)).to.deep.equal([]);
+    });
+
+    it("Should leave blocked and past events out of trending", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 10, 10)).to.deep.equal([0n]);
+
+      const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+      const circuitBreaker = await CircuitBreaker.deploy(await eventFactory.getAddress());
+      await eventFactory.setCircuitBreaker(await circuitBreaker.getAddress());
+      await circuitBreaker.connect(owner).blockEvent(0, "Reported as a scam");
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 10, 10)).to.deep.equal([]);
+
+      await circuitBreaker.connect(owner).unblockEvent(0);
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await eventDiscovery.getTrendingEventsInRange(0, 10, 10)).to.deep.equal([]);
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+  });
+
+  // Test ticket token metadata functionality
+  describe("Ticket Metadata", function () {
+    let ticketManager;
+
+    beforeEach(async function () {
+      await eventDiscovery.connect(organizer).addEventMetadata(
+        0,
+        0, // Music
+        "New York",
+        "A great music event",
+        "QmHash123"
+      );
+      await eventFactory.connect(owner).setEventDiscovery(await eventDiscovery.getAddress());
+
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManager = TicketManager.attach(await eventCore.ticketManager());
+      await ticketManager.connect(user1).buyTicket(0, 1, { value: ticketPrice });
+    });
+
+    it("Should build the ticket token URI from event metadata", async function () {
+      const uri = await ticketManager.tokenURI(0);
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+
+      const json = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+      expect(json.name).to.equal(`${eventName} #0`);
+      expect(json.description).to.equal("A great music event");
+      expect(json.image).to.equal("ipfs://QmHash123");
+      expect(json.attributes[0].value).to.equal("New York");
+      expect(json.attributes[1].value).to.equal("General Admission");
+      expect(json.attributes[2].value).to.equal(eventDate);
+    });
+
+    it("Should escape quotes, backslashes and control characters", async function () {
+      await eventCore.connect(organizer).setName('The "Big" Show');
+      await eventDiscovery
+        .connect(organizer)
+        .updateEventMetadata(0, 0, "C:\\Venue", 'Line one\nLine "two"\t', "QmHash123");
+
+      const uri = await ticketManager.tokenURI(0);
+      const prefix = "data:application/json;base64,";
+      const json = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+      expect(json.name).to.equal('The "Big" Show #0');
+      expect(json.description).to.equal('Line one\nLine "two"\t');
+      expect(json.attributes[0].value).to.equal("C:\\Venue");
+    });
+
+    it("Should not return a token URI for nonexistent tickets", async function () {
+      await expect(ticketManager.tokenURI(1)).to.be.revertedWith("ERC721: invalid token ID");
     });
   });
-}); 
\ No newline at end of file
+});
@@ -26,9 +26,15 @@ describe("EventFactory", function () {
     const latestBlock = await ethers.provider.getBlock('latest');
     eventDate = latestBlock.timestamp + 86400;
 
-    // Deploy fresh EventFactory contract for each test
+    // Deploy the implementations events are cloned from, then a fresh
+    // EventFactory for each test
+    const eventCoreImplementation = await (await ethers.getContractFactory("EventCore")).deploy();
+    const ticketManagerImplementation = await (await ethers.getContractFactory("TicketManager")).deploy();
     const EventFactory = await ethers.getContractFactory("EventFactory");
-    eventFactory = await EventFactory.deploy();
+    eventFactory = await EventFactory.deploy(
+      await eventCoreImplementation.getAddress(),
+      await ticketManagerImplementation.getAddress()
+    );
     await eventFactory.waitForDeployment();
   });
 
@@ -41,6 +47,28 @@ describe("EventFactory", function () {
     it("Should start with nextEventId as 0", async function () {
       expect(await eventFactory.nextEventId()).to.equal(0);
     });
+
+    it("Should only clone implementations that are contracts", async function () {
+      const EventFactory = await ethers.getContractFactory("EventFactory");
+      const eventCoreImplementation = await eventFactory.eventCoreImplementation();
+      const ticketManagerImplementation = await eventFactory.ticketManagerImplementation();
+
+      await expect(
+        EventFactory.deploy(organizer.address, ticketManagerImplementation)
+      ).to.be.revertedWith("EventCore implementation is not a contract");
+      await expect(
+        EventFactory.deploy(eventCoreImplementation, ethers.ZeroAddress)
+      ).to.be.revertedWith("TicketManager implementation is not a contract");
+    });
+
+    it("Should keep the factory's init code well under the EIP-3860 limit", async function () {
+      // The implementations are deployed on their own, so their code is not
+      // part of the factory's deployment
+      const EventFactory = await ethers.getContractFactory("EventFactory");
+      const initCodeSize = (EventFactory.bytecode.length - 2) / 2;
+
+      expect(initCodeSize).to.be.lessThan(49152 / 2);
+    });
   });
 
   // Test event creation functionality
@@ -88,6 +116,86 @@ describe("EventFactory", function () {
         .withArgs(1, eventContractAddress, organizer.address, eventName);
     });
 
+    it("Should create an event with several tiers", async function () {
+      await eventFactory.connect(organizer).createEventWithTiers(
+        eventName,
+        eventDate,
+        ["General Admission", "VIP"],
+        [ticketPrice, ticketPrice * BigInt(3)],
+        [90, 10]
+      );
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      expect(await eventCore.organizer()).to.equal(organizer.address);
+      expect(await eventCore.getTierCount()).to.equal(2);
+      expect((await eventCore.getTierDetails(1))[1]).to.equal(ticketPrice * BigInt(3));
+    });
+
+    it("Should create an event with its revenue split between payees", async function () {
+      await eventFactory.connect(organizer).createEventWithPayees(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount,
+        [[organizer.address, 6000], [owner.address, 4000]]
+      );
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      expect(await eventCore.getPayeeCount()).to.equal(2);
+      expect(await eventCore.payeeShares(owner.address)).to.equal(4000);
+    });
+
+    it("Should not allow creating an event with shares that do not add up to 100%", async function () {
+      await expect(
+        eventFactory.connect(organizer).createEventWithPayees(
+          eventName,
+          eventDate,
+          ticketPrice,
+          ticketCount,
+          [[organizer.address, 6000], [owner.address, 6000]]
+        )
+      ).to.be.revertedWith("Payee shares must add up to 100%");
+    });
+
+    it("Should create an event paid in an ERC-20 token", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await token.waitForDeployment();
+
+      await eventFactory.connect(organizer).createEventWithToken(
+        eventName,
+        eventDate,
+        ethers.parseUnits("25", 6),
+        ticketCount,
+        await token.getAddress()
+      );
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      expect(await eventCore.paymentToken()).to.equal(await token.getAddress());
+      expect(await eventCore.price()).to.equal(ethers.parseUnits("25", 6));
+    });
+
+    it("Should not allow creating a token event without a token", async function () {
+      await expect(
+        eventFactory.connect(organizer).createEventWithToken(
+          eventName,
+          eventDate,
+          ticketPrice,
+          ticketCount,
+          ethers.ZeroAddress
+        )
+      ).to.be.revertedWith("Invalid payment token");
+    });
+
+    it("Should not allow creating a tiered event without tiers", async function () {
+      await expect(
+        eventFactory.connect(organizer).createEventWithTiers(eventName, eventDate, [], [], [])
+      ).to.be.revertedWith("At least one tier is required");
+    });
+
     it("Should not allow creating event with past date", async function () {
       // Attempt to create event with past date
       const pastDate = (await ethers.provider.getBlock('latest')).timestamp - 86400;
@@ -113,4 +221,436 @@ describe("EventFactory", function () {
       ).to.be.revertedWith("Ticket count must be greater than 0");
     });
   });
-}); 
\ No newline at end of file
+
+  // Test listing events
+  describe("Event Listing", function () {
+    it("Should page through event contracts", async function () {
+      for (let i = 0; i < 3; i++) {
+        await eventFactory.connect(organizer).createEvent(
+          `${eventName} ${i}`,
+          eventDate,
+          ticketPrice,
+          ticketCount
+        );
+      }
+      const events = [
+        await eventFactory.getEventContract(0),
+        await eventFactory.getEventContract(1),
+        await eventFactory.getEventContract(2),
+      ];
+
+      expect(await eventFactory.getEventContracts(0, 2)).to.deep.equal(events.slice(0, 2));
+      expect(await eventFactory.getEventContracts(2, 2)).to.deep.equal(events.slice(2));
+      expect(await eventFactory.getEventContracts(0, 10)).to.deep.equal(events);
+      expect(await eventFactory.getEventContracts(3, 2)).to.deep.equal([]);
+    });
+  });
+
+  // Test that events are deployed as minimal-proxy clones
+  describe("Clone Deployment", function () {
+    it("Should deploy each event and ticket manager as a clone", async function () {
+      await eventFactory.connect(organizer).createEvent(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      const expectedCode = (implementation) =>
+        "0x363d3d373d3d3d363d73" +
+        implementation.slice(2).toLowerCase() +
+        "5af43d82803e903d91602b57fd5bf3";
+
+      expect(await ethers.provider.getCode(await eventCore.getAddress())).to.equal(
+        expectedCode(await eventFactory.eventCoreImplementation())
+      );
+      expect(await ethers.provider.getCode(await eventCore.ticketManager())).to.equal(
+        expectedCode(await eventFactory.ticketManagerImplementation())
+      );
+    });
+
+    it("Should emit EventCreated and TicketsManaged", async function () {
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const tx = eventFactory.connect(organizer).createEvent(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      await expect(tx).to.emit(eventFactory, "EventCreated");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      await expect(tx)
+        .to.emit(eventCore, "TicketsManaged")
+        .withArgs(await eventCore.ticketManager());
+    });
+
+    it("Should not allow initializing an event twice", async function () {
+      await eventFactory.connect(organizer).createEvent(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      const ticketManager = TicketManager.attach(await eventCore.ticketManager());
+
+      await expect(
+        eventCore.initialize(
+          owner.address,
+          eventName,
+          eventDate,
+          ["General Admission"],
+          [ticketPrice],
+          [ticketCount],
+          [],
+          await eventFactory.ticketManagerImplementation()
+        )
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(
+        ticketManager.initialize(owner.address)
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should not allow initializing the implementations", async function () {
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const implementation = EventCore.attach(await eventFactory.eventCoreImplementation());
+
+      await expect(
+        implementation.initialize(
+          owner.address,
+          eventName,
+          eventDate,
+          ["General Admission"],
+          [ticketPrice],
+          [ticketCount],
+          [],
+          await eventFactory.ticketManagerImplementation()
+        )
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("Should cost a fraction of deploying the contracts in full", async function () {
+      const receipt = await (
+        await eventFactory.connect(organizer).createEvent(
+          eventName,
+          eventDate,
+          ticketPrice,
+          ticketCount
+        )
+      ).wait();
+
+      // Deploying the EventCore and TicketManager bytecode is what every
+      // event used to pay for
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      const eventCoreDeployment = await (
+        await EventCore.deploy()
+      ).deploymentTransaction().wait();
+      const ticketManagerDeployment = await (
+        await TicketManager.deploy()
+      ).deploymentTransaction().wait();
+      const fullDeploymentGas =
+        eventCoreDeployment.gasUsed + ticketManagerDeployment.gasUsed;
+
+      expect(receipt.gasUsed * BigInt(10)).to.be.lessThan(fullDeploymentGas);
+    });
+  });
+
+  // Test running the factory behind an upgradeable proxy
+  describe("Upgrades", function () {
+    let proxyAdmin;
+    let proxy;
+    let factory;
+
+    beforeEach(async function () {
+      const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+      proxyAdmin = await ProxyAdmin.deploy();
+      const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+      proxy = await Proxy.deploy(
+        await eventFactory.getAddress(),
+        await proxyAdmin.getAddress(),
+        eventFactory.interface.encodeFunctionData("initialize")
+      );
+      factory = eventFactory.attach(await proxy.getAddress());
+    });
+
+    it("Should create events through the proxy", async function () {
+      expect(await factory.owner()).to.equal(owner.address);
+
+      await factory.connect(organizer).createEvent(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await factory.getEventContract(0));
+      expect(await eventCore.factory()).to.equal(await factory.getAddress());
+      expect(await eventCore.organizer()).to.equal(organizer.address);
+    });
+
+    it("Should keep events and settings across an upgrade", async function () {
+      await factory.connect(organizer).createEvent(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+      await factory.connect(owner).setPlatformFee(250);
+      const eventAddress = await factory.getEventContract(0);
+
+      // Upgrade to a version that appends state after the existing variables
+      // with a new EventCore implementation
+      const newEventCoreImplementation = await (await ethers.getContractFactory("EventCore")).deploy();
+      const EventFactoryV2 = await ethers.getContractFactory("EventFactoryV2");
+      const newImplementation = await EventFactoryV2.deploy(
+        await newEventCoreImplementation.getAddress(),
+        await eventFactory.ticketManagerImplementation()
+      );
+      await proxyAdmin.upgradeAndCall(
+        await proxy.getAddress(),
+        await newImplementation.getAddress(),
+        EventFactoryV2.interface.encodeFunctionData("initializeV2")
+      );
+
+      expect(await factory.getEventContract(0)).to.equal(eventAddress);
+      expect(await factory.eventIds(eventAddress)).to.equal(0);
+      expect(await factory.nextEventId()).to.equal(1);
+      expect(await factory.platformFeeBps()).to.equal(250);
+      expect(await factory.owner()).to.equal(owner.address);
+
+      // New events are cloned from the new implementation's event contracts
+      expect(await factory.eventCoreImplementation()).to.equal(
+        await newEventCoreImplementation.getAddress()
+      );
+      await factory.connect(organizer).createEvent(
+        eventName,
+        eventDate,
+        ticketPrice,
+        ticketCount
+      );
+      expect(await factory.nextEventId()).to.equal(2);
+
+      // The appended state is usable and doesn't overwrite the old state
+      const factoryV2 = EventFactoryV2.attach(await proxy.getAddress());
+      expect(await factoryV2.version()).to.equal(2);
+      await factoryV2.connect(owner).setNote(0, "Moved indoors");
+      expect(await factoryV2.notes(0)).to.equal("Moved indoors");
+      expect(await factoryV2.platformFeeBps()).to.equal(250);
+      expect(await factoryV2.treasury()).to.equal(owner.address);
+      await expect(factoryV2.initializeV2()).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+  });
+
+  // Test platform fee, treasury and ownership controls
+  describe("Platform Administration", function () {
+    it("Should allow the owner to set the platform fee", async function () {
+      await expect(eventFactory.connect(owner).setPlatformFee(250))
+        .to.emit(eventFactory, "PlatformFeeUpdated")
+        .withArgs(250);
+      expect(await eventFactory.platformFeeBps()).to.equal(250);
+    });
+
+    it("Should not allow a platform fee above 100%", async function () {
+      await expect(
+        eventFactory.connect(owner).setPlatformFee(10001)
+      ).to.be.revertedWith("Platform fee cannot exceed 100%");
+    });
+
+    it("Should allow the owner to set the treasury", async function () {
+      expect(await eventFactory.treasury()).to.equal(owner.address);
+
+      await expect(eventFactory.connect(owner).setTreasury(organizer.address))
+        .to.emit(eventFactory, "TreasuryUpdated")
+        .withArgs(organizer.address);
+      expect(await eventFactory.treasury()).to.equal(organizer.address);
+
+      await expect(
+        eventFactory.connect(owner).setTreasury(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid treasury address");
+    });
+
+    it("Should allow the owner to set the circuit breaker", async function () {
+      const CircuitBreaker = await ethers.getContractFactory("CircuitBreaker");
+      const circuitBreaker = await CircuitBreaker.deploy(await eventFactory.getAddress());
+      const circuitBreakerAddress = await circuitBreaker.getAddress();
+
+      await expect(eventFactory.connect(owner).setCircuitBreaker(circuitBreakerAddress))
+        .to.emit(eventFactory, "CircuitBreakerUpdated")
+        .withArgs(circuitBreakerAddress);
+      expect(await eventFactory.circuitBreaker()).to.equal(circuitBreakerAddress);
+    });
+
+    it("Should not allow others to change platform settings", async function () {
+      await expect(
+        eventFactory.connect(organizer).setPlatformFee(250)
+      ).to.be.revertedWith("Only the owner can call this function");
+      await expect(
+        eventFactory.connect(organizer).setCircuitBreaker(organizer.address)
+      ).to.be.revertedWith("Only the owner can call this function");
+      await expect(
+        eventFactory.connect(organizer).setTreasury(organizer.address)
+      ).to.be.revertedWith("Only the owner can call this function");
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      await expect(eventFactory.connect(owner).transferOwnership(organizer.address))
+        .to.emit(eventFactory, "OwnershipTransferProposed")
+        .withArgs(owner.address, organizer.address);
+      expect(await eventFactory.owner()).to.equal(owner.address);
+
+      await expect(
+        eventFactory.connect(owner).acceptOwnership()
+      ).to.be.revertedWith("Only the proposed owner can accept");
+
+      await expect(eventFactory.connect(organizer).acceptOwnership())
+        .to.emit(eventFactory, "OwnershipTransferred")
+        .withArgs(owner.address, organizer.address);
+      expect(await eventFactory.owner()).to.equal(organizer.address);
+      expect(await eventFactory.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      await expect(
+        eventFactory.connect(owner).setPlatformFee(250)
+      ).to.be.revertedWith("Only the owner can call this function");
+    });
+
+    it("Should snapshot the platform fee when an event is created", async function () {
+      await eventFactory.connect(owner).setPlatformFee(250);
+      await eventFactory.connect(organizer).createEvent(eventName, eventDate, ticketPrice, ticketCount);
+      await eventFactory.connect(owner).setPlatformFee(500);
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      expect(await eventCore.platformFeeBps()).to.equal(250);
+    });
+  });
+
+  // Test platform fees taken on ticket sales
+  describe("Platform Fees", function () {
+    let treasury;
+    let buyer;
+    let eventCore;
+    let ticketManager;
+
+    beforeEach(async function () {
+      [, , treasury, buyer] = await ethers.getSigners();
+      await eventFactory.connect(owner).setTreasury(treasury.address);
+      await eventFactory.connect(owner).setPlatformFee(500);
+      await eventFactory.connect(organizer).createEvent(eventName, eventDate, ticketPrice, ticketCount);
+
+      const EventCore = await ethers.getContractFactory("EventCore");
+      eventCore = EventCore.attach(await eventFactory.getEventContract(0));
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManager = TicketManager.attach(await eventCore.ticketManager());
+
+      await ticketManager.connect(buyer).buyTicket(0, 2, { value: ticketPrice * 2n });
+    });
+
+    it("Should credit payees with sales net of the platform fee", async function () {
+      const fee = (ticketPrice * 500n) / 10000n;
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 1, { value: ticketPrice })
+      )
+        .to.emit(eventCore, "PaymentCredited")
+        .withArgs(organizer.address, ticketPrice - fee);
+    });
+
+    it("Should pay the platform fee to the treasury once the event has taken place", async function () {
+      await expect(
+        eventCore.withdrawPlatformFee()
+      ).to.be.revertedWith("No platform fees to withdraw");
+
+      const snapshot = await ethers.provider.send("evm_snapshot");
+      await ethers.provider.send("evm_increaseTime", [86400 * 2]);
+      await ethers.provider.send("evm_mine");
+
+      const fee = (ticketPrice * 2n * 500n) / 10000n;
+      expect(await eventCore.withdrawableProceeds()).to.equal(ticketPrice * 2n - fee);
+
+      await expect(eventCore.withdrawPlatformFee())
+        .to.emit(eventCore, "PlatformFeePaid")
+        .withArgs(treasury.address, fee);
+      await expect(
+        eventCore.connect(organizer).withdraw()
+      ).to.changeEtherBalance(organizer, ticketPrice * 2n - fee);
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should pay the platform fee on paid transfers to the treasury", async function () {
+      const [, , , , recipient] = await ethers.getSigners();
+      const fee = (ticketPrice * 500n) / 10000n;
+      const tx = ticketManager.connect(buyer).transferTicket([0], recipient.address, { value: ticketPrice });
+
+      await expect(tx).to.changeEtherBalances(
+        [buyer, treasury, eventCore],
+        [-ticketPrice, fee, ticketPrice - fee]
+      );
+      await expect(tx).to.emit(eventCore, "PlatformFeePaid").withArgs(treasury.address, fee);
+      await expect(tx)
+        .to.emit(eventCore, "PaymentCredited")
+        .withArgs(organizer.address, ticketPrice - fee);
+    });
+
+    it("Should not take a platform fee on refunded tickets", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+      await eventCore.connect(buyer).claimRefund([0, 1], buyer.address);
+
+      expect(await eventCore.platformFeeEarned()).to.equal(0);
+    });
+
+    it("Should not let the royalty and platform fee exceed the sale price", async function () {
+      await expect(
+        eventCore.connect(organizer).setResaleTerms(0, 9501)
+      ).to.be.revertedWith("Royalty cannot exceed 100%");
+    });
+  });
+
+  // Test ticket hub registration
+  describe("Ticket Hub Registration", function () {
+    it("Should allow the owner to set the ticket hub", async function () {
+      await expect(eventFactory.connect(owner).setUserTicketHub(organizer.address))
+        .to.emit(eventFactory, "UserTicketHubUpdated")
+        .withArgs(organizer.address);
+      expect(await eventFactory.userTicketHub()).to.equal(organizer.address);
+    });
+
+    it("Should not allow others to set the ticket hub", async function () {
+      await expect(
+        eventFactory.connect(organizer).setUserTicketHub(organizer.address)
+      ).to.be.revertedWith("Only the owner can call this function");
+    });
+  });
+
+  // Test discovery contract registration
+  describe("Event Discovery Registration", function () {
+    it("Should allow the owner to set the discovery contract", async function () {
+      await expect(eventFactory.connect(owner).setEventDiscovery(organizer.address))
+        .to.emit(eventFactory, "EventDiscoveryUpdated")
+        .withArgs(organizer.address);
+      expect(await eventFactory.eventDiscovery()).to.equal(organizer.address);
+    });
+
+    it("Should not allow others to set the discovery contract", async function () {
+      await expect(
+        eventFactory.connect(organizer).setEventDiscovery(organizer.address)
+      ).to.be.revertedWith("Only the owner can call this function");
+    });
+
+    it("Should map event contracts back to their IDs", async function () {
+      await eventFactory.connect(organizer).createEvent(eventName, eventDate, ticketPrice, ticketCount);
+      await eventFactory.connect(organizer).createEvent(eventName, eventDate, ticketPrice, ticketCount);
+
+      expect(await eventFactory.eventIds(await eventFactory.getEventContract(1))).to.equal(1);
+    });
+  });
+});
@@ -13,9 +13,14 @@ describe("Event Management System", function () {
   beforeEach(async function () {
     [owner, organizer, user1, user2] = await ethers.getSigners();
 
-    // Deploy EventFactory
+    // Deploy the implementations events are cloned from, then EventFactory
+    const eventCoreImplementation = await (await ethers.getContractFactory("EventCore")).deploy();
+    const ticketManagerImplementation = await (await ethers.getContractFactory("TicketManager")).deploy();
     const EventFactory = await ethers.getContractFactory("EventFactory");
-    eventFactory = await EventFactory.deploy();
+    eventFactory = await EventFactory.deploy(
+      await eventCoreImplementation.getAddress(),
+      await ticketManagerImplementation.getAddress()
+    );
     await eventFactory.waitForDeployment();
 
     // Deploy EventDiscovery
@@ -29,6 +34,9 @@ describe("Event Management System", function () {
     const UserTicketHub = await ethers.getContractFactory("UserTicketHub");
     userTicketHub = await UserTicketHub.deploy(await eventFactory.getAddress());
     await userTicketHub.waitForDeployment();
+
+    // Register the hub so it can manage tickets on users' behalf
+    await eventFactory.setUserTicketHub(await userTicketHub.getAddress());
   });
 
   describe("Event Creation", function () {
@@ -84,7 +92,7 @@ describe("Event Management System", function () {
       const quantity = 2;
       const totalPrice = ticketPrice * BigInt(quantity);
 
-      await userTicketHub.connect(user1).buyTickets(eventId, quantity, {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, quantity, {
         value: totalPrice,
       });
 
@@ -119,7 +127,7 @@ describe("Event Management System", function () {
       // Buy tickets
       const quantity = 2;
       const totalPrice = ticketPrice * BigInt(quantity);
-      await userTicketHub.connect(user1).buyTickets(eventId, quantity, {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, quantity, {
         value: totalPrice,
       });
     });    it("Should allow transfer of tickets between users", async function () {
@@ -129,7 +137,7 @@ describe("Event Management System", function () {
 
       await userTicketHub
         .connect(user1)
-        .transferTickets(eventId, user2.address, transferQuantity, {
+        .transferTickets(eventId, user2.address, [0], {
           value: ticketPrice * BigInt(transferQuantity)
         });
 
@@ -139,6 +147,151 @@ describe("Event Management System", function () {
     });
   });
 
+  describe("Ticket Ledger Sync", function () {
+    let eventId;
+    let eventCore;
+    let ticketManager;
+    const ticketPrice = ethers.parseEther("0.1");
+
+    // Checks that the hub and the TicketManager agree on a user's tickets
+    async function expectInSync(user, expectedCount) {
+      const hubCount = await userTicketHub.getUserTicketCount(user.address, eventId);
+      const hubIds = await userTicketHub.getUserTicketIds(user.address, eventId);
+      const profile = await userTicketHub.getUserProfile(user.address);
+      const attending = await userTicketHub.getUserAttendingEvents(user.address);
+
+      expect(await ticketManager.balanceOf(user.address)).to.equal(expectedCount);
+      expect(hubCount).to.equal(expectedCount);
+      expect(hubIds.length).to.equal(expectedCount);
+      for (const tokenId of hubIds) {
+        expect(await ticketManager.ownerOf(tokenId)).to.equal(user.address);
+      }
+      expect(profile.totalTicketsOwned).to.equal(expectedCount);
+      expect(attending.includes(BigInt(eventId))).to.equal(expectedCount > 0);
+    }
+
+    beforeEach(async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await eventFactory
+        .connect(organizer)
+        .createEvent("Test Event", latestBlock.timestamp + 86400, ticketPrice, 100);
+      eventId = 0;
+
+      eventCore = await ethers.getContractAt("EventCore", await eventFactory.getEventContract(eventId));
+      ticketManager = await ethers.getContractAt("TicketManager", await eventCore.ticketManager());
+
+      await userTicketHub.connect(user1).registerUser("User 1", "user1@example.com");
+      await userTicketHub.connect(user2).registerUser("User 2", "user2@example.com");
+    });
+
+    it("Should issue hub purchases to the buyer in the TicketManager", async function () {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, 2, { value: ticketPrice * 2n });
+
+      expect(await ticketManager.balanceOf(await userTicketHub.getAddress())).to.equal(0);
+      await expectInSync(user1, 2);
+    });
+
+    it("Should track direct TicketManager purchases in the hub", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 3, { value: ticketPrice * 3n });
+
+      await expectInSync(user1, 3);
+    });
+
+    it("Should track direct TicketManager transfers in the hub", async function () {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, 3, { value: ticketPrice * 3n });
+
+      await ticketManager.connect(user1).transferTicket([0], user2.address, { value: ticketPrice });
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+      await ticketManager.connect(user1).giftTickets([1], user2.address);
+
+      await expectInSync(user1, 1);
+      await expectInSync(user2, 2);
+    });
+
+    it("Should keep both ledgers in sync across mixed entry points", async function () {
+      await ticketManager.connect(user1).buyTicket(0, 2, { value: ticketPrice * 2n });
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, 1, { value: ticketPrice });
+
+      // Tickets bought directly can be moved through the hub and vice versa
+      await userTicketHub.connect(user1).transferTickets(eventId, user2.address, [0], { value: ticketPrice });
+      await ticketManager.connect(user1).transferTicket([2], user2.address, { value: ticketPrice });
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+      await ticketManager.connect(user2).giftTickets([0], user1.address);
+
+      await expectInSync(user1, 2);
+      await expectInSync(user2, 1);
+    });
+
+    it("Should track tickets held by users who register later", async function () {
+      await ticketManager.connect(owner).buyTicket(0, 1, { value: ticketPrice });
+      await userTicketHub.connect(owner).registerUser("Owner", "owner@example.com");
+
+      await expectInSync(owner, 1);
+    });
+
+    it("Should track refunds claimed directly from the event", async function () {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, 2, { value: ticketPrice * 2n });
+      await eventCore.connect(organizer).cancelEvent();
+
+      await eventCore.connect(user1).claimRefund([0], user1.address);
+      await expectInSync(user1, 1);
+
+      await userTicketHub.connect(user1).claimRefund(eventId);
+      await expectInSync(user1, 0);
+    });
+
+    it("Should not allow moving escrowed tickets directly in the TicketManager", async function () {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, 1, { value: ticketPrice });
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await userTicketHub
+        .connect(user1)
+        .initiateTransfer(eventId, user2.address, [0], ticketPrice, latestBlock.timestamp + 3600);
+
+      await expect(
+        ticketManager.connect(user1).transferTicket([0], owner.address, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket is reserved for a pending transfer");
+    });
+
+    it("Should not allow free moves with the standard ERC-721 transfers", async function () {
+      await userTicketHub.connect(user1).buyTickets(eventId, 0, 1, { value: ticketPrice });
+      const message = "Use transferTicket, giftTickets or the ticket hub to move tickets";
+
+      // Gifting is disabled, so a free move would bypass the organizer
+      await expect(
+        ticketManager.connect(user1).transferFrom(user1.address, user2.address, 0)
+      ).to.be.revertedWith(message);
+      await expect(
+        ticketManager
+          .connect(user1)
+          ["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, 0)
+      ).to.be.revertedWith(message);
+
+      // Approved operators are refused too
+      await ticketManager.connect(user1).setApprovalForAll(owner.address, true);
+      await expect(
+        ticketManager.connect(owner).transferFrom(user1.address, user2.address, 0)
+      ).to.be.revertedWith(message);
+
+      // After the event the ticket can't be moved at all
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(
+        ticketManager.connect(user1).transferFrom(user1.address, user2.address, 0)
+      ).to.be.revertedWith(message);
+      await expect(
+        userTicketHub.connect(user1).transferTickets(eventId, user2.address, [0], { value: ticketPrice })
+      ).to.be.revertedWith("Event has already occurred");
+      await ethers.provider.send("evm_revert", [snapshot]);
+    });
+
+    it("Should only accept transfer reports from an event's TicketManager", async function () {
+      await expect(
+        userTicketHub.connect(user1).onTicketTransfer(ethers.ZeroAddress, user1.address, 0)
+      ).to.be.reverted;
+    });
+  });
+
   describe("Event Discovery", function () {
     let eventId;
 
@@ -177,7 +330,7 @@ describe("Event Management System", function () {
         );
 
       await eventDiscovery.connect(organizer).featureEvent(eventId);
-      const featuredEvents = await eventDiscovery.getFeaturedEvents(10);
+      const featuredEvents = await eventDiscovery.getFeaturedEvents(0, 10);
       expect(featuredEvents).to.include(BigInt(eventId));
     });
   });
@@ -0,0 +1,154 @@
+/**
+ * @file StorageLayout.test.js
+ * @description Storage layout checks for the upgradeable contracts
+ * Compares the layouts of EventFactory, EventDiscovery and UserTicketHub with
+ * the snapshots in test/storage-layouts, so a change that would corrupt the
+ * state of a deployed proxy fails instead of relying on review. Variables may
+ * only be appended. After an intentional append, refresh the snapshots with
+ * UPDATE_STORAGE_LAYOUTS=true npx hardhat test test/StorageLayout.test.js
+ */
+
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_DIR = path.join(__dirname, "storage-layouts");
+const UPGRADEABLE_CONTRACTS = ["EventFactory", "EventDiscovery", "UserTicketHub"];
+
+/**
+ * Reads a contract's storage layout from its build info. Type IDs carry AST
+ * numbers that change with unrelated edits, so types are recorded by label.
+ */
+async function getStorageLayout(contractName) {
+  const sourceName = `contracts/${contractName}.sol`;
+  const buildInfo = await artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  const { storage, types } = buildInfo.output.contracts[sourceName][contractName].storageLayout;
+
+  const entry = ({ label, slot, offset, type }) => ({
+    label,
+    slot,
+    offset,
+    type: types[type].label,
+  });
+
+  // Structs stored in place (in an array, a state variable or another struct)
+  // can't grow without shifting what follows them; mapping values can
+  const inPlace = new Set();
+  storage.forEach(({ type }) => inPlace.add(types[type].label));
+  Object.values(types).forEach((type) => {
+    if (type.base) inPlace.add(types[type.base].label);
+    (type.members || []).forEach((member) => inPlace.add(types[member.type].label));
+  });
+
+  const structs = {};
+  Object.values(types)
+    .filter((type) => type.members)
+    .forEach((type) => {
+      structs[type.label] = {
+        numberOfBytes: type.numberOfBytes,
+        inPlace: inPlace.has(type.label),
+        members: type.members.map(entry),
+      };
+    });
+
+  return { storage: storage.map(entry), structs };
+}
+
+/**
+ * Lists the ways a new layout breaks an old one. Every old variable and
+ * struct member must keep its name, slot, offset and type.
+ */
+function compareLayouts(oldLayout, newLayout) {
+  const errors = [];
+  const describe = (item) => `${item.label} (${item.type}) at slot ${item.slot}+${item.offset}`;
+
+  const compareEntries = (where, oldEntries, newEntries) => {
+    oldEntries.forEach((oldEntry, i) => {
+      const newEntry = newEntries[i];
+      if (!newEntry) {
+        errors.push(`${where}: ${describe(oldEntry)} was removed`);
+      } else if (describe(newEntry) !== describe(oldEntry)) {
+        errors.push(`${where}: ${describe(oldEntry)} became ${describe(newEntry)}`);
+      }
+    });
+  };
+
+  compareEntries("storage", oldLayout.storage, newLayout.storage);
+
+  Object.entries(oldLayout.structs).forEach(([label, oldStruct]) => {
+    const newStruct = newLayout.structs[label];
+    if (!newStruct) {
+      // A struct that is no longer used only matters through the variables
+      // above, which already report the change
+      return;
+    }
+    compareEntries(label, oldStruct.members, newStruct.members);
+    if (
+      newStruct.numberOfBytes !== oldStruct.numberOfBytes &&
+      (oldStruct.inPlace || newStruct.inPlace)
+    ) {
+      errors.push(`${label}: changed size but is stored in place`);
+    }
+  });
+
+  return errors;
+}
+
+describe("Storage Layout", function () {
+  UPGRADEABLE_CONTRACTS.forEach((contractName) => {
+    it(`Should only append to the ${contractName} storage layout`, async function () {
+      const layout = await getStorageLayout(contractName);
+      const snapshotPath = path.join(SNAPSHOT_DIR, `${contractName}.json`);
+
+      if (process.env.UPDATE_STORAGE_LAYOUTS) {
+        if (fs.existsSync(snapshotPath)) {
+          const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+          expect(compareLayouts(snapshot, layout)).to.deep.equal([]);
+        }
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(snapshotPath, JSON.stringify(layout, null, 2) + "\n");
+      }
+
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+      expect(compareLayouts(snapshot, layout)).to.deep.equal([]);
+    });
+  });
+
+  it("Should reject reordered, retyped and removed variables", async function () {
+    const layout = await getStorageLayout("UserTicketHub");
+    const copy = () => JSON.parse(JSON.stringify(layout));
+
+    // Appending a variable is allowed
+    const appended = copy();
+    const last = appended.storage[appended.storage.length - 1];
+    appended.storage.push({ label: "version", slot: String(Number(last.slot) + 1), offset: 0, type: "uint256" });
+    expect(compareLayouts(layout, appended)).to.deep.equal([]);
+
+    // Swapping two variables of the same type is not
+    const reordered = copy();
+    const [first, second] = reordered.storage.filter((item) => item.type.startsWith("mapping"));
+    [first.label, second.label] = [second.label, first.label];
+    expect(compareLayouts(layout, reordered)).to.have.length(2);
+
+    const retyped = copy();
+    retyped.storage[1].type = "address";
+    expect(compareLayouts(layout, retyped)).to.have.length(1);
+
+    const removed = copy();
+    removed.storage.pop();
+    expect(compareLayouts(layout, removed)).to.have.length(1);
+  });
+
+  it("Should not let a struct stored in place grow", async function () {
+    const layout = await getStorageLayout("UserTicketHub");
+    const grown = JSON.parse(JSON.stringify(layout));
+    const [label, struct] = Object.entries(grown.structs).find(([, item]) => item.inPlace);
+    struct.members.push({ label: "extra", slot: "99", offset: 0, type: "uint256" });
+    struct.numberOfBytes = String(Number(struct.numberOfBytes) + 32);
+
+    expect(compareLayouts(layout, grown)).to.deep.equal([
+      `${label}: changed size but is stored in place`,
+    ]);
+  });
+});
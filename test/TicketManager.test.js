@@ -18,6 +18,23 @@ describe("TicketManager", function () {
   let eventDate;
   let ticketPrice = ethers.parseEther("0.1");
   let ticketCount = 100;
+  let eventCoreImplementation;
+  let ticketManagerImplementation;
+
+  // Deploy an uninitialized EIP-1167 clone of the EventCore implementation,
+  // the same way EventFactory creates events
+  async function cloneEvent() {
+    const implementation = (await eventCoreImplementation.getAddress()).slice(2);
+    const tx = await organizer.sendTransaction({
+      data:
+        "0x3d602d80600a3d3981f3363d3d373d3d3d363d73" +
+        implementation +
+        "5af43d82803e903d91602b57fd5bf3",
+    });
+    const receipt = await tx.wait();
+    const EventCore = await ethers.getContractFactory("EventCore");
+    return EventCore.attach(receipt.contractAddress);
+  }
 
   // Setup before each test
   beforeEach(async function () {
@@ -28,20 +45,29 @@ describe("TicketManager", function () {
     const currentBlock = await ethers.provider.getBlock("latest");
     eventDate = currentBlock.timestamp + 172800; // 2 days in seconds
 
-    // Deploy EventCore contract
+    // Deploy the implementations each event and its TicketManager are cloned from
     const EventCore = await ethers.getContractFactory("EventCore");
-    eventCore = await EventCore.deploy(
+    eventCoreImplementation = await EventCore.deploy();
+    await eventCoreImplementation.waitForDeployment();
+    const TicketManager = await ethers.getContractFactory("TicketManager");
+    ticketManagerImplementation = await TicketManager.deploy();
+    await ticketManagerImplementation.waitForDeployment();
+
+    // Deploy EventCore contract
+    eventCore = await cloneEvent();
+    await eventCore.initialize(
       organizer.address,
       eventName,
       eventDate,
-      ticketPrice,
-      ticketCount
+      ["General Admission"],
+      [ticketPrice],
+      [ticketCount],
+      [],
+      await ticketManagerImplementation.getAddress()
     );
-    await eventCore.waitForDeployment();
 
     // Get and attach TicketManager contract
     const ticketManagerAddress = await eventCore.ticketManager();
-    const TicketManager = await ethers.getContractFactory("TicketManager");
     ticketManager = TicketManager.attach(ticketManagerAddress);
   });
 
@@ -50,7 +76,7 @@ describe("TicketManager", function () {
     it("Should allow buying tickets", async function () {
       const quantity = 2;
 
-      await ticketManager.connect(buyer).buyTicket(quantity, {
+      await ticketManager.connect(buyer).buyTicket(0, quantity, {
         value: ticketPrice * BigInt(quantity),
       });
 
@@ -62,19 +88,19 @@ describe("TicketManager", function () {
       const quantity = 2;
 
       await expect(
-        ticketManager.connect(buyer).buyTicket(quantity, {
+        ticketManager.connect(buyer).buyTicket(0, quantity, {
           value: ticketPrice * BigInt(quantity),
         })
       )
         .to.emit(ticketManager, "TicketsPurchased")
-        .withArgs(buyer.address, quantity);
+        .withArgs(buyer.address, 0, quantity);
     });
 
     it("Should not allow buying tickets with insufficient payment", async function () {
       const quantity = 2;
 
       await expect(
-        ticketManager.connect(buyer).buyTicket(quantity, {
+        ticketManager.connect(buyer).buyTicket(0, quantity, {
           value: ticketPrice * BigInt(quantity - 1),
         })
       ).to.be.revertedWith("Insufficient Ether sent");
@@ -88,19 +114,133 @@ describe("TicketManager", function () {
       const quantity = 2;
 
       await expect(
-        ticketManager.connect(buyer).buyTicket(quantity, {
+        ticketManager.connect(buyer).buyTicket(0, quantity, {
           value: ticketPrice * BigInt(quantity),
         })
       ).to.be.revertedWith("Event has already occurred");
     });
   });
 
+  // Test ticket tier functionality
+  describe("Ticket Tiers", function () {
+    const vipPrice = ethers.parseEther("0.5");
+
+    beforeEach(async function () {
+      // Deploy an event with a General Admission and a VIP tier
+      eventCore = await cloneEvent();
+      await eventCore.initialize(
+        organizer.address,
+        eventName,
+        eventDate,
+        ["General Admission", "VIP"],
+        [ticketPrice, vipPrice],
+        [ticketCount, 10],
+        [],
+        await ticketManagerImplementation.getAddress()
+      );
+
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      ticketManager = TicketManager.attach(await eventCore.ticketManager());
+    });
+
+    it("Should charge the price of the chosen tier", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(1, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Insufficient Ether sent");
+
+      await ticketManager.connect(buyer).buyTicket(1, 2, { value: vipPrice * BigInt(2) });
+
+      expect(await ticketManager.ticketTiers(0)).to.equal(1);
+      expect(await ticketManager.ticketPricePaid(0)).to.equal(vipPrice);
+    });
+
+    it("Should emit the tier on purchase", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(1, 1, { value: vipPrice })
+      )
+        .to.emit(ticketManager, "TicketsPurchased")
+        .withArgs(buyer.address, 1, 1);
+    });
+
+    it("Should not sell more tickets than the tier supply", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(1, 11, { value: vipPrice * BigInt(11) })
+      ).to.be.revertedWith("Not enough tickets available");
+    });
+
+    it("Should not sell tickets from a nonexistent tier", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(2, 1, { value: vipPrice })
+      ).to.be.revertedWith("Tier does not exist");
+    });
+
+    it("Should price transfers by each ticket's tier", async function () {
+      await ticketManager.connect(buyer).buyTicket(0, 1, { value: ticketPrice });
+      await ticketManager.connect(buyer).buyTicket(1, 1, { value: vipPrice });
+
+      expect(await ticketManager.getTicketsPrice([0, 1])).to.equal(ticketPrice + vipPrice);
+
+      await expect(
+        ticketManager.connect(buyer).transferTicket([0, 1], recipient.address, {
+          value: ticketPrice + vipPrice,
+        })
+      )
+        .to.emit(ticketManager, "TicketsTransferred")
+        .withArgs(buyer.address, recipient.address, 2, ticketPrice + vipPrice);
+    });
+  });
+
+  // Test overpayment refunds
+  describe("Overpayment", function () {
+    it("Should refund Ether sent above the ticket price", async function () {
+      const overpayment = ethers.parseEther("0.05");
+
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 2, {
+          value: ticketPrice * BigInt(2) + overpayment,
+        })
+      ).to.changeEtherBalances([buyer, eventCore], [-(ticketPrice * BigInt(2)), ticketPrice * BigInt(2)]);
+    });
+
+    it("Should emit OverpaymentRefunded event", async function () {
+      const overpayment = ethers.parseEther("0.05");
+
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 1, {
+          value: ticketPrice + overpayment,
+        })
+      )
+        .to.emit(ticketManager, "OverpaymentRefunded")
+        .withArgs(buyer.address, overpayment);
+    });
+
+    it("Should not emit OverpaymentRefunded for exact payments", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 1, { value: ticketPrice })
+      ).to.not.emit(ticketManager, "OverpaymentRefunded");
+    });
+
+    it("Should refund Ether sent above the transfer amount", async function () {
+      const overpayment = ethers.parseEther("0.05");
+      await ticketManager.connect(buyer).buyTicket(0, 1, { value: ticketPrice });
+
+      await expect(
+        ticketManager.connect(buyer).transferTicket([0], recipient.address, {
+          value: ticketPrice + overpayment,
+        })
+      )
+        .to.emit(ticketManager, "OverpaymentRefunded")
+        .withArgs(buyer.address, overpayment);
+      expect(await ethers.provider.getBalance(await ticketManager.getAddress())).to.equal(0);
+    });
+  });
+
   // Test ticket transfer functionality
   describe("Ticket Transfer", function () {
     beforeEach(async function () {
       // Buy tickets for the buyer first
       const quantity = 2;
-      await ticketManager.connect(buyer).buyTicket(quantity, {
+      await ticketManager.connect(buyer).buyTicket(0, quantity, {
         value: ticketPrice * BigInt(quantity),
       });
     });
@@ -110,7 +250,7 @@ describe("TicketManager", function () {
 
       await ticketManager
         .connect(buyer)
-        .transferTicket(transferQuantity, recipient.address, {
+        .transferTicket([0], recipient.address, {
           value: ticketPrice * BigInt(transferQuantity),
         });
 
@@ -127,7 +267,7 @@ describe("TicketManager", function () {
       await expect(
         ticketManager
           .connect(buyer)
-          .transferTicket(transferQuantity, recipient.address, {
+          .transferTicket([0], recipient.address, {
             value: ticketPrice * BigInt(transferQuantity),
           })
       )
@@ -135,16 +275,40 @@ describe("TicketManager", function () {
         .withArgs(buyer.address, recipient.address, transferQuantity, ticketPrice * BigInt(transferQuantity));
     });
 
-    it("Should not allow transferring more tickets than owned", async function () {
+    it("Should not allow transferring tickets not owned", async function () {
       const transferQuantity = 3;
 
       await expect(
         ticketManager
           .connect(buyer)
-          .transferTicket(transferQuantity, recipient.address, {
+          .transferTicket([0, 1, 2], recipient.address, {
             value: ticketPrice * BigInt(transferQuantity),
           })
-      ).to.be.revertedWith("Insufficient tickets owned");
+      ).to.be.revertedWith("Ticket not owned by sender");
+    });
+
+    it("Should move the specified ticket IDs", async function () {
+      await ticketManager
+        .connect(buyer)
+        .transferTicket([1], recipient.address, {
+          value: ticketPrice,
+        });
+
+      expect(await ticketManager.ownerOf(0)).to.equal(buyer.address);
+      expect(await ticketManager.ownerOf(1)).to.equal(recipient.address);
+    });
+
+    it("Should not price or move the same ticket twice", async function () {
+      await expect(ticketManager.getTicketsPrice([0, 1, 0])).to.be.revertedWith("Duplicate ticket ID");
+      await expect(
+        ticketManager.connect(buyer).transferTicket([0, 0], recipient.address, { value: ticketPrice * 2n })
+      ).to.be.revertedWith("Duplicate ticket ID");
+    });
+
+    it("Should not allow the standard ERC-721 transfers without a hub", async function () {
+      await expect(
+        ticketManager.connect(buyer).transferFrom(buyer.address, recipient.address, 0)
+      ).to.be.revertedWith("Use transferTicket, giftTickets or the ticket hub to move tickets");
     });
 
     it("Should not allow transferring to zero address", async function () {
@@ -153,7 +317,7 @@ describe("TicketManager", function () {
       await expect(
         ticketManager
           .connect(buyer)
-          .transferTicket(transferQuantity, ethers.ZeroAddress, {
+          .transferTicket([0], ethers.ZeroAddress, {
             value: ticketPrice * BigInt(transferQuantity),
           })
       ).to.be.revertedWith("Cannot transfer to zero address");
@@ -178,17 +342,304 @@ describe("TicketManager", function () {
       await expect(
         ticketManager
           .connect(buyer)
-          .transferTicket(transferQuantity, recipient.address)
+          .transferTicket([0], recipient.address)
       ).to.be.revertedWith("Event has already occurred");
     });
   });
 
+  // Test buying on behalf of another holder
+  describe("Purchases for Others", function () {
+    it("Should issue tickets to the recipient and charge the caller", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicketFor(recipient.address, 0, 2, { value: ticketPrice * 2n })
+      ).to.changeEtherBalances([buyer, recipient], [-(ticketPrice * 2n), 0]);
+
+      expect(await ticketManager.getTicketBalance(recipient.address)).to.equal(2);
+      expect(await ticketManager.getTicketBalance(buyer.address)).to.equal(0);
+      expect(await ticketManager.getTicketIds(recipient.address)).to.deep.equal([0n, 1n]);
+    });
+
+    it("Should not allow buying for the zero address", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicketFor(ethers.ZeroAddress, 0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Invalid recipient address");
+    });
+
+    it("Should not report a ticket hub for events without a factory", async function () {
+      expect(await ticketManager.ticketHub()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  // Test gift functionality
+  describe("Ticket Gifts", function () {
+    beforeEach(async function () {
+      await ticketManager.connect(buyer).buyTicket(0, 2, { value: ticketPrice * 2n });
+    });
+
+    it("Should not allow gifts unless the organizer enables them", async function () {
+      await expect(
+        ticketManager.connect(buyer).giftTickets([0], recipient.address)
+      ).to.be.revertedWith("Gifting is disabled for this event");
+    });
+
+    it("Should move gifted tickets without payment", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+
+      await expect(
+        ticketManager.connect(buyer).giftTickets([0], recipient.address)
+      ).to.changeEtherBalances([buyer, recipient, eventCore], [0, 0, 0]);
+
+      expect(await ticketManager.ownerOf(0)).to.equal(recipient.address);
+      expect(await ticketManager.getTicketBalance(buyer.address)).to.equal(1);
+    });
+
+    it("Should emit TicketsGifted event", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+
+      await expect(ticketManager.connect(buyer).giftTickets([0, 1], recipient.address))
+        .to.emit(ticketManager, "TicketsGifted")
+        .withArgs(buyer.address, recipient.address, 2);
+    });
+
+    it("Should not allow gifting another holder's ticket", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+
+      await expect(
+        ticketManager.connect(recipient).giftTickets([0], organizer.address)
+      ).to.be.revertedWith("Ticket not owned by sender");
+    });
+  });
+
+  // Test ticket token functionality
+  describe("Ticket Tokens", function () {
+    it("Should mint sequentially numbered tickets", async function () {
+      await ticketManager.connect(buyer).buyTicket(0, 2, {
+        value: ticketPrice * BigInt(2),
+      });
+      await ticketManager.connect(recipient).buyTicket(0, 1, {
+        value: ticketPrice,
+      });
+
+      expect(await ticketManager.ownerOf(0)).to.equal(buyer.address);
+      expect(await ticketManager.ownerOf(1)).to.equal(buyer.address);
+      expect(await ticketManager.ownerOf(2)).to.equal(recipient.address);
+      expect(await ticketManager.nextTokenId()).to.equal(3);
+    });
+
+    it("Should use the event name as the collection name", async function () {
+      expect(await ticketManager.name()).to.equal(eventName);
+    });
+
+    it("Should return an empty token URI outside a factory", async function () {
+      await ticketManager.connect(buyer).buyTicket(0, 1, { value: ticketPrice });
+
+      expect(await ticketManager.tokenURI(0)).to.equal("");
+    });
+  });
+
+  // Test venue check-in functionality
+  describe("Check-in", function () {
+    let scanner;
+
+    // Sign an EIP-712 check-in message for a ticket
+    async function signCheckIn(signer, tokenId, deadline) {
+      const domain = {
+        name: "TicketManager",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await ticketManager.getAddress(),
+      };
+      const types = {
+        CheckIn: [
+          { name: "tokenId", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      return signer.signTypedData(domain, types, { tokenId, deadline });
+    }
+
+    beforeEach(async function () {
+      [, , , scanner] = await ethers.getSigners();
+      await eventCore.connect(organizer).setScanner(scanner.address, true);
+      await ticketManager.connect(buyer).buyTicket(0, 2, {
+        value: ticketPrice * BigInt(2),
+      });
+    });
+
+    it("Should allow a scanner to redeem tickets", async function () {
+      await expect(ticketManager.connect(scanner).redeemTickets([0]))
+        .to.emit(ticketManager, "TicketRedeemed")
+        .withArgs(0, buyer.address, scanner.address);
+
+      expect(await ticketManager.redeemed(0)).to.be.true;
+      expect(await ticketManager.redeemed(1)).to.be.false;
+    });
+
+    it("Should not allow others to redeem tickets", async function () {
+      await expect(
+        ticketManager.connect(buyer).redeemTickets([0])
+      ).to.be.revertedWith("Only an authorised scanner can redeem tickets");
+    });
+
+    it("Should only let the ticket hub redeem for a scanner", async function () {
+      await expect(
+        ticketManager.connect(scanner).redeemTicketsFor(scanner.address, [0])
+      ).to.be.revertedWith("Only the ticket hub can redeem for a scanner");
+    });
+
+    it("Should not redeem a ticket twice", async function () {
+      await ticketManager.connect(scanner).redeemTickets([0]);
+
+      await expect(
+        ticketManager.connect(scanner).redeemTickets([0])
+      ).to.be.revertedWith("Ticket already redeemed");
+    });
+
+    it("Should not allow transferring redeemed tickets", async function () {
+      await ticketManager.connect(organizer).redeemTickets([0]);
+
+      await expect(
+        ticketManager.connect(buyer).transferTicket([0], recipient.address, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket already redeemed");
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+      await expect(
+        ticketManager.connect(buyer).giftTickets([0], recipient.address)
+      ).to.be.revertedWith("Ticket already redeemed");
+    });
+
+    it("Should verify a holder's signed check-in", async function () {
+      const deadline = eventDate;
+      const signature = await signCheckIn(buyer, 1, deadline);
+
+      expect(await ticketManager.checkInSigner(1, deadline, signature)).to.equal(buyer.address);
+      expect(await ticketManager.verifyCheckIn(1, deadline, signature)).to.be.true;
+    });
+
+    it("Should reject check-ins signed by someone other than the holder", async function () {
+      const signature = await signCheckIn(recipient, 1, eventDate);
+
+      expect(await ticketManager.verifyCheckIn(1, eventDate, signature)).to.be.false;
+    });
+
+    it("Should reject check-ins for redeemed tickets", async function () {
+      const signature = await signCheckIn(buyer, 1, eventDate);
+      await ticketManager.connect(scanner).redeemTickets([1]);
+
+      expect(await ticketManager.verifyCheckIn(1, eventDate, signature)).to.be.false;
+    });
+
+    it("Should reject expired check-in signatures", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      const signature = await signCheckIn(buyer, 1, latestBlock.timestamp - 1);
+
+      await expect(
+        ticketManager.verifyCheckIn(1, latestBlock.timestamp - 1, signature)
+      ).to.be.revertedWith("Check-in signature expired");
+    });
+  });
+
+  // Test events paid in an ERC-20 token
+  describe("Token Payments", function () {
+    let token;
+
+    // Sign an EIP-2612 permit letting a spender take tokens
+    async function signPermit(owner, spender, value, deadline) {
+      const domain = {
+        name: "Mock USD",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const signature = await owner.signTypedData(domain, types, {
+        owner: owner.address,
+        spender,
+        value,
+        nonce: await token.nonces(owner.address),
+        deadline,
+      });
+      return ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 18);
+      await token.waitForDeployment();
+      await token.mint(buyer.address, ticketPrice * BigInt(10));
+
+      // The deployer acts as the factory and sets the payment token
+      await eventCore.connect(organizer).setPaymentToken(await token.getAddress());
+    });
+
+    it("Should take payment from the buyer's token allowance", async function () {
+      await token.connect(buyer).approve(await ticketManager.getAddress(), ticketPrice * BigInt(2));
+
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 2)
+      ).to.changeTokenBalances(token, [buyer, eventCore], [-(ticketPrice * BigInt(2)), ticketPrice * BigInt(2)]);
+
+      expect(await ticketManager.balanceOf(buyer.address)).to.equal(2);
+      expect(await eventCore.grossSales()).to.equal(ticketPrice * BigInt(2));
+    });
+
+    it("Should take payment with a permit signature", async function () {
+      const deadline = eventDate;
+      const { v, r, s } = await signPermit(buyer, await ticketManager.getAddress(), ticketPrice, deadline);
+
+      await expect(
+        ticketManager.connect(buyer).buyTicketWithPermit(0, 1, deadline, v, r, s)
+      ).to.changeTokenBalance(token, eventCore, ticketPrice);
+      expect(await ticketManager.ownerOf(0)).to.equal(buyer.address);
+    });
+
+    it("Should not accept Ether for an event paid in tokens", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Event is paid in tokens");
+    });
+
+    it("Should not sell tickets without an allowance", async function () {
+      await expect(
+        ticketManager.connect(buyer).buyTicket(0, 1)
+      ).to.be.revertedWith("ERC20: insufficient allowance");
+    });
+
+    it("Should settle transfer payments in tokens", async function () {
+      await token.connect(buyer).approve(await ticketManager.getAddress(), ticketPrice * BigInt(2));
+      await ticketManager.connect(buyer).buyTicket(0, 1);
+
+      await expect(
+        ticketManager.connect(buyer).transferTicket([0], recipient.address)
+      ).to.changeTokenBalance(token, eventCore, ticketPrice);
+      expect(await eventCore.transferFees()).to.equal(ticketPrice);
+      expect(await ticketManager.ownerOf(0)).to.equal(recipient.address);
+    });
+
+    it("Should refund cancelled tickets in tokens", async function () {
+      await token.connect(buyer).approve(await ticketManager.getAddress(), ticketPrice);
+      await ticketManager.connect(buyer).buyTicket(0, 1);
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        eventCore.connect(buyer).claimRefund([0], buyer.address)
+      ).to.changeTokenBalances(token, [eventCore, buyer], [-ticketPrice, ticketPrice]);
+    });
+  });
+
   // Test ticket balance functionality
   describe("Ticket Balance", function () {
     it("Should return correct ticket balance", async function () {
       const quantity = 2;
 
-      await ticketManager.connect(buyer).buyTicket(quantity, {
+      await ticketManager.connect(buyer).buyTicket(0, quantity, {
         value: ticketPrice * BigInt(quantity),
       });
 
@@ -31,9 +31,14 @@ describe("UserTicketHub", function () {
     const latestBlock = await ethers.provider.getBlock('latest');
     eventDate = latestBlock.timestamp + 86400;
 
-    // Deploy EventFactory
+    // Deploy the implementations events are cloned from, then EventFactory
+    const eventCoreImplementation = await (await ethers.getContractFactory("EventCore")).deploy();
+    const ticketManagerImplementation = await (await ethers.getContractFactory("TicketManager")).deploy();
     const EventFactory = await ethers.getContractFactory("EventFactory");
-    eventFactory = await EventFactory.deploy();
+    eventFactory = await EventFactory.deploy(
+      await eventCoreImplementation.getAddress(),
+      await ticketManagerImplementation.getAddress()
+    );
     await eventFactory.waitForDeployment();
 
     // Deploy UserTicketHub
@@ -41,6 +46,9 @@ describe("UserTicketHub", function () {
     userTicketHub = await UserTicketHub.deploy(await eventFactory.getAddress());
     await userTicketHub.waitForDeployment();
 
+    // Register the hub so it can manage tickets on users' behalf
+    await eventFactory.setUserTicketHub(await userTicketHub.getAddress());
+
     // Create a test event
     const tx = await eventFactory.connect(organizer).createEvent(
       eventName,
@@ -137,7 +145,7 @@ describe("UserTicketHub", function () {
 
     it("Should allow buying tickets", async function () {
       const quantity = 2;
-      await userTicketHub.connect(user1).buyTickets(0, quantity, { value: ticketPrice * BigInt(quantity) });
+      await userTicketHub.connect(user1).buyTickets(0, 0, quantity, { value: ticketPrice * BigInt(quantity) });
       
       const ticketCount = await userTicketHub.getUserTicketCount(user1.address, 0);
       expect(ticketCount).to.equal(quantity);
@@ -145,20 +153,43 @@ describe("UserTicketHub", function () {
 
     it("Should emit TicketsPurchased event", async function () {
       const quantity = 1;
-      await expect(userTicketHub.connect(user1).buyTickets(0, quantity, { value: ticketPrice }))
+      await expect(userTicketHub.connect(user1).buyTickets(0, 0, quantity, { value: ticketPrice }))
         .to.emit(userTicketHub, "TicketsPurchased")
-        .withArgs(user1.address, 0, quantity);
+        .withArgs(user1.address, 0, 0, quantity);
+    });
+
+    it("Should not allow buying before the sale opens", async function () {
+      await eventCore.connect(organizer).setSaleWindow(eventDate - 3600, eventDate);
+
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Ticket sales have not started");
+    });
+
+    it("Should charge the current scheduled price", async function () {
+      const earlyBirdPrice = ticketPrice / BigInt(2);
+      await eventCore.connect(organizer).setPriceSchedule(0, [eventDate - 3600], [earlyBirdPrice]);
+
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice })
+      ).to.changeEtherBalance(user1, -earlyBirdPrice);
+    });
+
+    it("Should not allow buying from a nonexistent tier", async function () {
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 1, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Tier does not exist");
     });
 
     it("Should allow transferring tickets", async function () {
       // First buy tickets
       const quantity = 2;
-      await userTicketHub.connect(user1).buyTickets(0, quantity, { value: ticketPrice * BigInt(quantity) });
+      await userTicketHub.connect(user1).buyTickets(0, 0, quantity, { value: ticketPrice * BigInt(quantity) });
 
       // Ensure user1 has enough tickets
       const initialUser1Balance = await userTicketHub.getUserTicketCount(user1.address, 0);
       expect(initialUser1Balance).to.be.gte(1);      // Then transfer one ticket
-      await userTicketHub.connect(user1).transferTickets(0, user2.address, 1, {
+      await userTicketHub.connect(user1).transferTickets(0, user2.address, [0], {
         value: ticketPrice
       });      expect(Number(await userTicketHub.getUserTicketCount(user1.address, 0))).to.equal(Number(initialUser1Balance) - 1);
       expect(Number(await userTicketHub.getUserTicketCount(user2.address, 0))).to.equal(1);
@@ -166,8 +197,8 @@ describe("UserTicketHub", function () {
 
     it("Should emit TicketsTransferred event", async function () {
       // First buy tickets
-      await userTicketHub.connect(user1).buyTickets(0, 1, { value: ticketPrice });      // Then transfer ticket
-      await expect(userTicketHub.connect(user1).transferTickets(0, user2.address, 1, {
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });      // Then transfer ticket
+      await expect(userTicketHub.connect(user1).transferTickets(0, user2.address, [0], {
         value: ticketPrice
       }))
         .to.emit(userTicketHub, "TicketsTransferred")
@@ -176,23 +207,548 @@ describe("UserTicketHub", function () {
 
     it("Should not allow transferring to zero address", async function () {
       // First buy tickets
-      await userTicketHub.connect(user1).buyTickets(0, 1, { value: ticketPrice });
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });
 
       // Attempt transfer to zero address
       await expect(
-        userTicketHub.connect(user1).transferTickets(0, ethers.ZeroAddress, 1)
+        userTicketHub.connect(user1).transferTickets(0, ethers.ZeroAddress, [0])
       ).to.be.revertedWith("Cannot transfer to zero address");
     });
 
     it("Should not allow transferring more tickets than owned", async function () {
-      await userTicketHub.connect(user1).buyTickets(0, 1, { value: ticketPrice });
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });
       
       await expect(
-        userTicketHub.connect(user1).transferTickets(0, user2.address, 2)
+        userTicketHub.connect(user1).transferTickets(0, user2.address, [0, 1])
       ).to.be.revertedWith("Insufficient tickets owned");
     });
   });
 
+  // Test overpayment refunds
+  describe("Overpayment", function () {
+    const overpayment = ethers.parseEther("0.05");
+
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+    });
+
+    it("Should refund Ether sent above the ticket price", async function () {
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * BigInt(2) + overpayment })
+      ).to.changeEtherBalances([user1, eventCore], [-(ticketPrice * BigInt(2)), ticketPrice * BigInt(2)]);
+    });
+
+    it("Should emit OverpaymentRefunded event on purchase", async function () {
+      await expect(
+        userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice + overpayment })
+      )
+        .to.emit(userTicketHub, "OverpaymentRefunded")
+        .withArgs(user1.address, 0, overpayment);
+    });
+
+    it("Should refund Ether sent above the transfer amount", async function () {
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });
+
+      await expect(
+        userTicketHub.connect(user1).transferTickets(0, user2.address, [0], { value: ticketPrice + overpayment })
+      )
+        .to.emit(userTicketHub, "OverpaymentRefunded")
+        .withArgs(user1.address, 0, overpayment);
+    });
+
+    it("Should refund the recipient's overpayment on acceptance", async function () {
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
+
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice + overpayment })
+      ).to.changeEtherBalances([user2, user1], [-ticketPrice, ticketPrice]);
+    });
+  });
+
+  // Test resale pricing and royalties
+  describe("Resale Terms", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * 2n });
+
+      // Allow a 20% markup and take a 10% royalty
+      await eventCore.connect(organizer).setResaleTerms(2000, 1000);
+    });
+
+    it("Should record the asking price of a pending transfer", async function () {
+      const askingPrice = ticketPrice + ticketPrice / 10n;
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], askingPrice, eventDate);
+
+      expect(await userTicketHub.getPendingTransferPrice(user1.address, 0, user2.address))
+        .to.equal(askingPrice);
+    });
+
+    it("Should allow an asking price up to the resale cap", async function () {
+      const cap = await eventCore.getMaxResalePrice(ticketPrice * 2n);
+      expect(cap).to.equal((ticketPrice * 2n * 12n) / 10n);
+
+      await expect(userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0, 1], cap, eventDate))
+        .to.emit(userTicketHub, "TransferInitiated");
+    });
+
+    it("Should not allow an asking price above the resale cap", async function () {
+      const cap = await eventCore.getMaxResalePrice(ticketPrice);
+
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], cap + 1n, eventDate)
+      ).to.be.revertedWith("Asking price exceeds resale cap");
+    });
+
+    it("Should not allow a zero asking price", async function () {
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], 0, eventDate)
+      ).to.be.revertedWith("Asking price must be greater than 0");
+    });
+
+    it("Should charge the asking price on acceptance", async function () {
+      const askingPrice = ticketPrice + ticketPrice / 10n;
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], askingPrice, eventDate);
+
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice })
+      ).to.be.revertedWith("Insufficient payment from recipient");
+
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: askingPrice })
+      ).to.changeEtherBalance(user2, -askingPrice);
+    });
+
+    it("Should split the payment between the seller and the organizer", async function () {
+      const askingPrice = ticketPrice + ticketPrice / 10n;
+      const royalty = askingPrice / 10n;
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], askingPrice, eventDate);
+
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: askingPrice })
+      ).to.changeEtherBalances([user1, eventCore], [askingPrice - royalty, royalty]);
+    });
+
+    it("Should take the platform fee from the seller's proceeds", async function () {
+      // Create a second event after a 5% platform fee is set
+      await eventFactory.connect(owner).setPlatformFee(500);
+      await eventFactory.connect(organizer).createEvent(eventName, eventDate, ticketPrice, ticketCount);
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const feeEvent = EventCore.attach(await eventFactory.getEventContract(1));
+      await feeEvent.connect(organizer).setResaleTerms(0, 1000);
+
+      await userTicketHub.connect(user1).buyTickets(1, 0, 1, { value: ticketPrice });
+      await userTicketHub.connect(user1).initiateTransfer(1, user2.address, [0], ticketPrice, eventDate);
+
+      const royalty = ticketPrice / 10n;
+      const platformFee = ticketPrice / 20n;
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 1, { value: ticketPrice })
+      ).to.changeEtherBalances(
+        [user1, feeEvent, owner],
+        [ticketPrice - royalty - platformFee, royalty, platformFee]
+      );
+    });
+
+    it("Should take the platform fee on paid transfers", async function () {
+      // Create a second event after a 5% platform fee is set
+      await eventFactory.connect(owner).setPlatformFee(500);
+      await eventFactory.connect(organizer).createEvent(eventName, eventDate, ticketPrice, ticketCount);
+      const EventCore = await ethers.getContractFactory("EventCore");
+      const feeEvent = EventCore.attach(await eventFactory.getEventContract(1));
+      await userTicketHub.connect(user1).buyTickets(1, 0, 1, { value: ticketPrice });
+
+      const platformFee = ticketPrice / 20n;
+      const tx = userTicketHub.connect(user1).transferTickets(1, user2.address, [0], { value: ticketPrice });
+      await expect(tx).to.changeEtherBalances(
+        [user1, feeEvent, owner],
+        [-ticketPrice, ticketPrice - platformFee, platformFee]
+      );
+      await expect(tx)
+        .to.emit(feeEvent, "PlatformFeePaid")
+        .withArgs(owner.address, platformFee);
+    });
+
+    it("Should emit ResalePaymentSplit event", async function () {
+      const askingPrice = ticketPrice;
+      const royalty = askingPrice / 10n;
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], askingPrice, eventDate);
+
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: askingPrice })
+      )
+        .to.emit(userTicketHub, "ResalePaymentSplit")
+        .withArgs(user1.address, 0, askingPrice - royalty, royalty, 0);
+    });
+  });
+
+  // Test events paid in an ERC-20 token
+  describe("Token Payments", function () {
+    let token;
+    let tokenEvent;
+    let tokenTicketManager;
+    const tokenPrice = ethers.parseUnits("25", 6);
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+      await token.waitForDeployment();
+      await token.mint(user1.address, tokenPrice * 10n);
+      await token.mint(user2.address, tokenPrice * 10n);
+
+      // Create a second event, paid in the token
+      await eventFactory.connect(organizer).createEventWithToken(
+        eventName,
+        eventDate,
+        tokenPrice,
+        ticketCount,
+        await token.getAddress()
+      );
+      const EventCore = await ethers.getContractFactory("EventCore");
+      tokenEvent = EventCore.attach(await eventFactory.getEventContract(1));
+      const TicketManager = await ethers.getContractFactory("TicketManager");
+      tokenTicketManager = TicketManager.attach(await tokenEvent.ticketManager());
+
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+    });
+
+    it("Should buy tickets with a token allowance", async function () {
+      await token.connect(user1).approve(await userTicketHub.getAddress(), tokenPrice * 2n);
+
+      await expect(
+        userTicketHub.connect(user1).buyTickets(1, 0, 2)
+      ).to.changeTokenBalances(token, [user1, tokenEvent], [-(tokenPrice * 2n), tokenPrice * 2n]);
+      expect(await userTicketHub.getUserTicketCount(user1.address, 1)).to.equal(2);
+    });
+
+    it("Should buy tickets with a permit signature", async function () {
+      const domain = {
+        name: "Mock USD",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await token.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const { v, r, s } = ethers.Signature.from(
+        await user1.signTypedData(domain, types, {
+          owner: user1.address,
+          spender: await userTicketHub.getAddress(),
+          value: tokenPrice,
+          nonce: 0,
+          deadline: eventDate,
+        })
+      );
+
+      await expect(
+        userTicketHub.connect(user1).buyTicketsWithPermit(1, 0, 1, eventDate, v, r, s)
+      ).to.changeTokenBalance(token, tokenEvent, tokenPrice);
+      expect(await tokenTicketManager.ownerOf(0)).to.equal(user1.address);
+    });
+
+    it("Should not take a permit for an event paid in Ether", async function () {
+      await expect(
+        userTicketHub.connect(user1).buyTicketsWithPermit(0, 0, 1, eventDate, 27, ethers.ZeroHash, ethers.ZeroHash)
+      ).to.be.revertedWith("Event is paid in Ether");
+    });
+
+    it("Should not accept Ether for an event paid in tokens", async function () {
+      await expect(
+        userTicketHub.connect(user1).buyTickets(1, 0, 1, { value: ticketPrice })
+      ).to.be.revertedWith("Event is paid in tokens");
+    });
+
+    it("Should settle resales in tokens", async function () {
+      await token.connect(user1).approve(await userTicketHub.getAddress(), tokenPrice);
+      await userTicketHub.connect(user1).buyTickets(1, 0, 1);
+      await tokenEvent.connect(organizer).setResaleTerms(0, 1000);
+
+      await userTicketHub.connect(user1).initiateTransfer(1, user2.address, [0], tokenPrice, eventDate);
+      await token.connect(user2).approve(await userTicketHub.getAddress(), tokenPrice);
+
+      const royalty = tokenPrice / 10n;
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 1)
+      ).to.changeTokenBalances(
+        token,
+        [user2, user1, tokenEvent],
+        [-tokenPrice, tokenPrice - royalty, royalty]
+      );
+      expect(await tokenTicketManager.ownerOf(0)).to.equal(user2.address);
+    });
+
+    it("Should refund cancelled tickets in tokens", async function () {
+      await token.connect(user1).approve(await userTicketHub.getAddress(), tokenPrice * 2n);
+      await userTicketHub.connect(user1).buyTickets(1, 0, 2);
+      await tokenEvent.connect(organizer).cancelEvent();
+
+      await expect(
+        userTicketHub.connect(user1).claimRefund(1)
+      ).to.changeTokenBalance(token, user1, tokenPrice * 2n);
+    });
+  });
+
+  // Test gift functionality
+  describe("Gifts", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * 2n });
+    });
+
+    it("Should not allow gifts unless the organizer enables them", async function () {
+      await expect(
+        userTicketHub.connect(user1).giftTickets(0, user2.address, [0])
+      ).to.be.revertedWith("Gifting is disabled for this event");
+    });
+
+    it("Should move gifted tickets and update both profiles", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+
+      await expect(
+        userTicketHub.connect(user1).giftTickets(0, user2.address, [0, 1])
+      ).to.changeEtherBalances([user1, user2, eventCore], [0, 0, 0]);
+
+      expect(await userTicketHub.getUserTicketIds(user2.address, 0)).to.deep.equal([0n, 1n]);
+      expect(await userTicketHub.getUserAttendingEvents(user1.address)).to.deep.equal([]);
+      expect(await userTicketHub.getUserAttendingEvents(user2.address)).to.deep.equal([0n]);
+
+      const sender = await userTicketHub.getUserProfile(user1.address);
+      const recipient = await userTicketHub.getUserProfile(user2.address);
+      expect(sender.totalTicketsOwned).to.equal(0);
+      expect(recipient.totalTicketsOwned).to.equal(2);
+    });
+
+    it("Should emit TicketsGifted event", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+
+      await expect(userTicketHub.connect(user1).giftTickets(0, user2.address, [0]))
+        .to.emit(userTicketHub, "TicketsGifted")
+        .withArgs(user1.address, user2.address, 0, 1)
+        .and.not.to.emit(userTicketHub, "TicketsTransferred");
+    });
+
+    it("Should not allow gifting another user's ticket", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+      await userTicketHub.connect(user2).buyTickets(0, 0, 1, { value: ticketPrice });
+
+      await expect(
+        userTicketHub.connect(user1).giftTickets(0, owner.address, [2])
+      ).to.be.revertedWith("Ticket not owned by sender");
+    });
+  });
+
+  // Test cancelling, declining and expiring transfer offers
+  describe("Pending Transfer Management", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * 2n });
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
+    });
+
+    it("Should list outgoing and incoming offers", async function () {
+      const outgoing = await userTicketHub.getOutgoingTransfers(user1.address);
+      const incoming = await userTicketHub.getIncomingTransfers(user2.address);
+
+      expect(outgoing.length).to.equal(1);
+      expect(outgoing[0].from).to.equal(user1.address);
+      expect(outgoing[0].to).to.equal(user2.address);
+      expect(outgoing[0].eventId).to.equal(0);
+      expect(incoming.length).to.equal(1);
+      expect(incoming[0].from).to.equal(user1.address);
+      expect(await userTicketHub.getPendingTransferExpiry(user1.address, 0, user2.address))
+        .to.equal(eventDate);
+    });
+
+    it("Should allow the sender to cancel an offer", async function () {
+      await expect(userTicketHub.connect(user1).cancelTransfer(0, user2.address))
+        .to.emit(userTicketHub, "TransferCancelled")
+        .withArgs(user1.address, user2.address, 0);
+
+      expect(await userTicketHub.pendingTransfers(user1.address, 0, user2.address)).to.equal(0);
+      expect(await userTicketHub.getOutgoingTransfers(user1.address)).to.deep.equal([]);
+      expect(await userTicketHub.getIncomingTransfers(user2.address)).to.deep.equal([]);
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice })
+      ).to.be.revertedWith("No pending transfer found");
+    });
+
+    it("Should allow the recipient to decline an offer", async function () {
+      await expect(userTicketHub.connect(user2).declineTransfer(user1.address, 0))
+        .to.emit(userTicketHub, "TransferDeclined")
+        .withArgs(user1.address, user2.address, 0);
+
+      expect(await userTicketHub.pendingTransfers(user1.address, 0, user2.address)).to.equal(0);
+      expect(await userTicketHub.getIncomingTransfers(user2.address)).to.deep.equal([]);
+    });
+
+    it("Should allow the pair to trade again after a cancellation", async function () {
+      await userTicketHub.connect(user1).cancelTransfer(0, user2.address);
+
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [1], ticketPrice, eventDate);
+      expect(await userTicketHub.getPendingTransferTickets(user1.address, 0, user2.address))
+        .to.deep.equal([1n]);
+    });
+
+    it("Should not allow cancelling or declining a missing offer", async function () {
+      await expect(
+        userTicketHub.connect(user2).cancelTransfer(0, user1.address)
+      ).to.be.revertedWith("No pending transfer found");
+      await expect(
+        userTicketHub.connect(user1).declineTransfer(user2.address, 0)
+      ).to.be.revertedWith("No pending transfer found");
+    });
+
+    it("Should not allow an expiry in the past", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, owner.address, [1], ticketPrice, latestBlock.timestamp)
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("Should not allow accepting an expired offer", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await userTicketHub.connect(user1).initiateTransfer(0, owner.address, [1], ticketPrice, latestBlock.timestamp + 60);
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(
+        userTicketHub.connect(owner).acceptTransfer(user1.address, 0, { value: ticketPrice })
+      ).to.be.revertedWith("Transfer offer has expired");
+      expect(await userTicketHub.getIncomingTransfers(owner.address)).to.deep.equal([]);
+      expect((await userTicketHub.getOutgoingTransfers(user1.address)).length).to.equal(1);
+    });
+
+    it("Should allow replacing an expired offer", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await userTicketHub.connect(user1).initiateTransfer(0, owner.address, [1], ticketPrice, latestBlock.timestamp + 60);
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine");
+
+      // The expired offer no longer blocks the pair in either direction
+      await userTicketHub.connect(user1).initiateTransfer(0, owner.address, [1], ticketPrice, eventDate);
+      expect((await userTicketHub.getIncomingTransfers(owner.address)).length).to.equal(1);
+      expect((await userTicketHub.getOutgoingTransfers(user1.address)).length).to.equal(2);
+    });
+  });
+
+  // Test escrow of tickets backing pending offers
+  describe("Transfer Escrow", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 3, { value: ticketPrice * 3n });
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0, 1], ticketPrice * 2n, eventDate);
+    });
+
+    it("Should exclude escrowed tickets from the transferable balance", async function () {
+      expect(await userTicketHub.getUserTicketCount(user1.address, 0)).to.equal(3);
+      expect(await userTicketHub.getTransferableTicketCount(user1.address, 0)).to.equal(1);
+      expect(await userTicketHub.isTicketEscrowed(0, 0)).to.be.true;
+      expect(await userTicketHub.isTicketEscrowed(0, 2)).to.be.false;
+    });
+
+    it("Should not allow offering escrowed tickets to someone else", async function () {
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, owner.address, [0], ticketPrice, eventDate)
+      ).to.be.revertedWith("Ticket is reserved for a pending transfer");
+    });
+
+    it("Should not allow offering the same ticket twice", async function () {
+      await userTicketHub.connect(user1).cancelTransfer(0, user2.address);
+
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, owner.address, [2, 2], ticketPrice * 2n, eventDate)
+      ).to.be.revertedWith("Duplicate ticket ID");
+      expect(await userTicketHub.isTicketEscrowed(0, 2)).to.be.false;
+    });
+
+    it("Should not allow gifting escrowed tickets", async function () {
+      await eventCore.connect(organizer).setGiftingEnabled(true);
+
+      await expect(
+        userTicketHub.connect(user1).giftTickets(0, owner.address, [1])
+      ).to.be.revertedWith("Ticket is reserved for a pending transfer");
+    });
+
+    it("Should still allow moving tickets outside the escrow", async function () {
+      await userTicketHub.connect(user1).transferTickets(0, owner.address, [2], { value: ticketPrice });
+
+      expect(await userTicketHub.getTransferableTicketCount(user1.address, 0)).to.equal(0);
+    });
+
+    it("Should release escrowed tickets when an offer is cancelled", async function () {
+      await userTicketHub.connect(user1).cancelTransfer(0, user2.address);
+
+      expect(await userTicketHub.isTicketEscrowed(0, 0)).to.be.false;
+      expect(await userTicketHub.getTransferableTicketCount(user1.address, 0)).to.equal(3);
+      await userTicketHub.connect(user1).transferTickets(0, owner.address, [0], { value: ticketPrice });
+    });
+
+    it("Should release escrowed tickets when an offer expires", async function () {
+      const latestBlock = await ethers.provider.getBlock("latest");
+      await userTicketHub.connect(user1).initiateTransfer(0, owner.address, [2], ticketPrice, latestBlock.timestamp + 60);
+      expect(await userTicketHub.getTransferableTicketCount(user1.address, 0)).to.equal(0);
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine");
+
+      expect(await userTicketHub.isTicketEscrowed(0, 2)).to.be.false;
+      expect(await userTicketHub.getTransferableTicketCount(user1.address, 0)).to.equal(1);
+      await userTicketHub.connect(user1).transferTickets(0, user2.address, [2], { value: ticketPrice });
+    });
+
+    it("Should not redeem escrowed tickets while the offer is live", async function () {
+      await expect(
+        ticketManager.connect(organizer).redeemTickets([0])
+      ).to.be.revertedWith("Ticket is reserved for a pending transfer");
+      await ticketManager.connect(organizer).redeemTickets([2]);
+
+      // The offer can still be accepted, and the ticket used afterwards
+      await userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice * 2n });
+      await ticketManager.connect(organizer).redeemTickets([0]);
+      expect(await ticketManager.redeemed(0)).to.be.true;
+    });
+
+    it("Should end an offer when its tickets are refunded", async function () {
+      // Postponing the event opens a refund window
+      await eventCore.connect(organizer).setDate(eventDate + 86400);
+
+      await expect(userTicketHub.connect(user1).claimRefund(0))
+        .to.emit(userTicketHub, "TransferCancelled")
+        .withArgs(user1.address, user2.address, 0);
+
+      expect(await userTicketHub.pendingTransfers(user1.address, 0, user2.address)).to.equal(0);
+      expect(await userTicketHub.getOutgoingTransfers(user1.address)).to.be.empty;
+      expect(await userTicketHub.getIncomingTransfers(user2.address)).to.be.empty;
+      expect(await userTicketHub.isTicketEscrowed(0, 1)).to.be.false;
+      await expect(
+        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice * 2n })
+      ).to.be.revertedWith("No pending transfer found");
+    });
+
+    it("Should clear the escrow once the offer is accepted", async function () {
+      await userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice * 2n });
+
+      expect(await userTicketHub.isTicketEscrowed(0, 0)).to.be.false;
+      expect(await userTicketHub.getTransferableTicketCount(user2.address, 0)).to.equal(2);
+    });
+  });
+
   // Test event interactions
   describe("Event Interactions", function () {
     beforeEach(async function () {
@@ -218,6 +774,50 @@ describe("UserTicketHub", function () {
       expect(await userTicketHub.isEventFavorite(user1.address, 0)).to.be.false;
     });
 
+    it("Should count the users who favorited an event", async function () {
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+
+      await userTicketHub.connect(user1).favoriteEvent(0);
+      await userTicketHub.connect(user1).favoriteEvent(0);
+      await userTicketHub.connect(user2).favoriteEvent(0);
+      expect(await userTicketHub.favoriteCounts(0)).to.equal(2);
+
+      await userTicketHub.connect(user1).unfavoriteEvent(0);
+      await userTicketHub.connect(user1).unfavoriteEvent(0);
+      expect(await userTicketHub.favoriteCounts(0)).to.equal(1);
+    });
+
+    it("Should not take favorites made before counting off the count", async function () {
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+      await userTicketHub.connect(user1).favoriteEvent(0);
+
+      // Write user2's favorite straight into favoriteEvents (slot 3), as a
+      // hub upgraded from before favorites were counted would hold it
+      const userSlot = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [user2.address, 3])
+      );
+      const favoriteSlot = ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes32"], [0, userSlot])
+      );
+      await ethers.provider.send("hardhat_setStorageAt", [
+        await userTicketHub.getAddress(),
+        favoriteSlot,
+        ethers.toBeHex(1, 32),
+      ]);
+      expect(await userTicketHub.isEventFavorite(user2.address, 0)).to.be.true;
+
+      // Removing it leaves user1's counted favorite alone
+      await userTicketHub.connect(user2).unfavoriteEvent(0);
+      expect(await userTicketHub.isEventFavorite(user2.address, 0)).to.be.false;
+      expect(await userTicketHub.favoriteCounts(0)).to.equal(1);
+
+      // Favoriting again counts it
+      await userTicketHub.connect(user2).favoriteEvent(0);
+      expect(await userTicketHub.favoriteCounts(0)).to.equal(2);
+      await userTicketHub.connect(user2).unfavoriteEvent(0);
+      expect(await userTicketHub.favoriteCounts(0)).to.equal(1);
+    });
+
     it("Should emit EventUnfavorited event", async function () {
       await userTicketHub.connect(user1).favoriteEvent(0);
       
@@ -227,7 +827,7 @@ describe("UserTicketHub", function () {
     });
 
     it("Should track attending events", async function () {
-      await userTicketHub.connect(user1).buyTickets(0, 1, { value: ticketPrice });
+      await userTicketHub.connect(user1).buyTickets(0, 0, 1, { value: ticketPrice });
       
       const attendingEvents = await userTicketHub.getUserAttendingEvents(user1.address);
       expect(attendingEvents.length).to.equal(1);
@@ -243,12 +843,12 @@ describe("UserTicketHub", function () {
       
       // Buy tickets for user1
       const quantity = 2;
-      await userTicketHub.connect(user1).buyTickets(0, quantity, { value: ticketPrice * BigInt(quantity) });
+      await userTicketHub.connect(user1).buyTickets(0, 0, quantity, { value: ticketPrice * BigInt(quantity) });
     });
 
     it("Should allow initiating a transfer", async function () {
       const quantity = 1;
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, quantity);
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
       
       const pendingQty = await userTicketHub.pendingTransfers(user1.address, 0, user2.address);
       expect(pendingQty).to.equal(quantity);
@@ -256,34 +856,47 @@ describe("UserTicketHub", function () {
 
     it("Should emit TransferInitiated event", async function () {
       const quantity = 1;
-      await expect(userTicketHub.connect(user1).initiateTransfer(0, user2.address, quantity))
+      await expect(userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate))
         .to.emit(userTicketHub, "TransferInitiated")
         .withArgs(user1.address, user2.address, 0, quantity);
     });
 
     it("Should not allow initiating transfer to self", async function () {
       await expect(
-        userTicketHub.connect(user1).initiateTransfer(0, user1.address, 1)
+        userTicketHub.connect(user1).initiateTransfer(0, user1.address, [0], ticketPrice, eventDate)
       ).to.be.revertedWith("Cannot transfer to yourself");
     });
 
     it("Should not allow initiating transfer with insufficient tickets", async function () {
       await expect(
-        userTicketHub.connect(user1).initiateTransfer(0, user2.address, 3)
+        userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0, 1, 2], ticketPrice, eventDate)
       ).to.be.revertedWith("Insufficient tickets owned");
     });
 
+    it("Should not allow initiating a transfer for a cancelled event", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate)
+      ).to.be.revertedWith("Event has been cancelled");
+      expect(await userTicketHub.getTransferableTicketCount(user1.address, 0)).to.equal(2);
+
+      // The tickets can still be refunded
+      await expect(userTicketHub.connect(user1).claimRefund(0))
+        .to.changeEtherBalance(user1, ticketPrice * 2n);
+    });
+
     it("Should not allow duplicate pending transfers", async function () {
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, 1);
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
       
       await expect(
-        userTicketHub.connect(user1).initiateTransfer(0, user2.address, 1)
+        userTicketHub.connect(user1).initiateTransfer(0, user2.address, [1], ticketPrice, eventDate)
       ).to.be.revertedWith("Transfer already initiated");
     });
 
     it("Should allow accepting a transfer", async function () {
       const quantity = 1;
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, quantity);
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
       
       await userTicketHub.connect(user2).acceptTransfer(user1.address, 0, {
         value: ticketPrice * BigInt(quantity)
@@ -298,7 +911,7 @@ describe("UserTicketHub", function () {
 
     it("Should emit TicketsTransferred event on acceptance", async function () {
       const quantity = 1;
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, quantity);
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
       
       await expect(userTicketHub.connect(user2).acceptTransfer(user1.address, 0, {
         value: ticketPrice * BigInt(quantity)
@@ -316,7 +929,7 @@ describe("UserTicketHub", function () {
     });
 
     it("Should not allow accepting transfer with insufficient payment", async function () {
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, 1);
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
       
       await expect(
         userTicketHub.connect(user2).acceptTransfer(user1.address, 0, {
@@ -327,7 +940,7 @@ describe("UserTicketHub", function () {
 
     it("Should clear pending transfer after acceptance", async function () {
       const quantity = 1;
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, quantity);
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
       
       await userTicketHub.connect(user2).acceptTransfer(user1.address, 0, {
         value: ticketPrice * BigInt(quantity)
@@ -337,29 +950,266 @@ describe("UserTicketHub", function () {
       expect(pendingQty).to.equal(0);
     });
 
-    it("Should not allow accepting transfer if sender no longer has enough tickets", async function () {
+    it("Should not allow selling tickets reserved for a pending transfer", async function () {
       // First transfer one ticket to owner to leave user1 with exactly 1 ticket
-      await userTicketHub.connect(user1).transferTickets(0, owner.address, 1, {
+      await userTicketHub.connect(user1).transferTickets(0, owner.address, [0], {
         value: ticketPrice
       });
 
       // Initiate transfer of the last ticket
-      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, 1);
-      
-      // Transfer the last ticket to someone else
-      const tx = await userTicketHub.connect(user1).transferTickets(0, owner.address, 1, {
-        value: ticketPrice
-      });
-      
-      // Wait for the transfer transaction to be mined
-      await tx.wait();
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [1], ticketPrice, eventDate);
       
-      // Try to accept the pending transfer
+      // The last ticket is in escrow and can't be transferred elsewhere
       await expect(
-        userTicketHub.connect(user2).acceptTransfer(user1.address, 0, {
+        userTicketHub.connect(user1).transferTickets(0, owner.address, [1], {
           value: ticketPrice
         })
-      ).to.be.revertedWith("Sender no longer has enough tickets");
+      ).to.be.revertedWith("Insufficient tickets owned");
+
+      // Accepting the pending transfer still succeeds
+      await userTicketHub.connect(user2).acceptTransfer(user1.address, 0, {
+        value: ticketPrice
+      });
+      expect(await userTicketHub.getUserTicketIds(user2.address, 0)).to.deep.equal([1n]);
+    });
+  });
+  // Test ticket ID tracking
+  describe("Ticket IDs", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user2).registerUser("TestUser2", "test2@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * BigInt(2) });
+    });
+
+    it("Should record the ticket IDs bought by a user", async function () {
+      expect(await userTicketHub.getUserTicketIds(user1.address, 0)).to.deep.equal([0n, 1n]);
+      expect(await ticketManager.ownerOf(0)).to.equal(user1.address);
+      expect(await ticketManager.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it("Should move the specified ticket IDs on transfer", async function () {
+      await userTicketHub.connect(user1).transferTickets(0, user2.address, [1], { value: ticketPrice });
+
+      expect(await userTicketHub.getUserTicketIds(user1.address, 0)).to.deep.equal([0n]);
+      expect(await userTicketHub.getUserTicketIds(user2.address, 0)).to.deep.equal([1n]);
+      expect(await ticketManager.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("Should not allow transferring another user's ticket", async function () {
+      await userTicketHub.connect(user2).buyTickets(0, 0, 1, { value: ticketPrice });
+
+      await expect(
+        userTicketHub.connect(user1).transferTickets(0, user2.address, [2], { value: ticketPrice })
+      ).to.be.revertedWith("Ticket not owned by sender");
+    });
+
+    it("Should move the offered ticket IDs on acceptance", async function () {
+      await userTicketHub.connect(user1).initiateTransfer(0, user2.address, [1], ticketPrice, eventDate);
+      expect(await userTicketHub.getPendingTransferTickets(user1.address, 0, user2.address)).to.deep.equal([1n]);
+
+      await userTicketHub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice });
+
+      expect(await userTicketHub.getUserTicketIds(user2.address, 0)).to.deep.equal([1n]);
+      expect(await userTicketHub.getPendingTransferTickets(user1.address, 0, user2.address)).to.be.empty;
+    });
+  });
+
+  // Test check-in and attendance
+  describe("Attendance", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * BigInt(2) });
+    });
+
+    it("Should report redeemed tickets per user and event", async function () {
+      let attendance = await userTicketHub.getUserAttendance(user1.address, 0);
+      expect(attendance.redeemedCount).to.equal(0);
+      expect(attendance.ticketCount).to.equal(2);
+
+      await ticketManager.connect(organizer).redeemTickets([1]);
+
+      attendance = await userTicketHub.getUserAttendance(user1.address, 0);
+      expect(attendance.redeemedCount).to.equal(1);
+    });
+
+    it("Should let check-in managers check tickets in through the hub", async function () {
+      await eventCore.connect(organizer).setRole(await eventCore.CHECK_IN_ROLE(), user2.address, true);
+
+      await expect(userTicketHub.connect(user2).checkInTickets(0, [0]))
+        .to.emit(ticketManager, "TicketRedeemed")
+        .withArgs(0, user1.address, user2.address);
+      expect(await ticketManager.redeemed(0)).to.be.true;
+    });
+
+    it("Should not let others check tickets in through the hub", async function () {
+      await expect(
+        userTicketHub.connect(user2).checkInTickets(0, [0])
+      ).to.be.revertedWith("Only an authorised scanner can redeem tickets");
+    });
+
+    it("Should not allow transferring redeemed tickets", async function () {
+      await ticketManager.connect(organizer).redeemTickets([0]);
+
+      await expect(
+        userTicketHub.connect(user1).transferTickets(0, user2.address, [0], { value: ticketPrice })
+      ).to.be.revertedWith("Ticket already redeemed");
+      await expect(
+        userTicketHub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate)
+      ).to.be.revertedWith("Ticket already redeemed");
+    });
+
+    it("Should verify a signed check-in for a ticket held through the hub", async function () {
+      const domain = {
+        name: "TicketManager",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await ticketManager.getAddress(),
+      };
+      const types = {
+        CheckIn: [
+          { name: "tokenId", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const signature = await user1.signTypedData(domain, types, { tokenId: 0, deadline: eventDate });
+      const otherSignature = await user2.signTypedData(domain, types, { tokenId: 0, deadline: eventDate });
+
+      expect(await userTicketHub.verifyCheckIn(0, 0, eventDate, signature)).to.be.true;
+      expect(await userTicketHub.verifyCheckIn(0, 0, eventDate, otherSignature)).to.be.false;
+    });
+  });
+
+  // Test refunds for cancelled events
+  describe("Refunds", function () {
+    beforeEach(async function () {
+      await userTicketHub.connect(user1).registerUser("TestUser", "test@example.com");
+      await userTicketHub.connect(user1).buyTickets(0, 0, 2, { value: ticketPrice * BigInt(2) });
+    });
+
+    it("Should refund tickets and clean up the user's records", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(userTicketHub.connect(user1).claimRefund(0))
+        .to.changeEtherBalance(user1, ticketPrice * BigInt(2));
+
+      expect(await userTicketHub.getUserTicketCount(user1.address, 0)).to.equal(0);
+      expect((await userTicketHub.getUserProfile(user1.address))[3]).to.equal(0);
+      expect(await userTicketHub.getUserAttendingEvents(user1.address)).to.be.empty;
+    });
+
+    it("Should emit RefundClaimed event", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(userTicketHub.connect(user1).claimRefund(0))
+        .to.emit(userTicketHub, "RefundClaimed")
+        .withArgs(user1.address, 0, 2, ticketPrice * BigInt(2));
+    });
+
+    it("Should not allow refunds for events that are not cancelled", async function () {
+      await expect(
+        userTicketHub.connect(user1).claimRefund(0)
+      ).to.be.revertedWith("Refunds are not available");
+    });
+
+    it("Should not allow refunds without tickets", async function () {
+      await eventCore.connect(organizer).cancelEvent();
+
+      await expect(
+        userTicketHub.connect(user2).claimRefund(0)
+      ).to.be.revertedWith("No tickets to refund");
+    });
+  });
+
+  // Test upgrading the hub behind a proxy
+  describe("Upgrades", function () {
+    let proxyAdmin;
+    let proxy;
+    let hub;
+
+    beforeEach(async function () {
+      // Deploy the hub behind a transparent proxy and register the proxy
+      const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin");
+      proxyAdmin = await ProxyAdmin.deploy();
+      const UserTicketHub = await ethers.getContractFactory("UserTicketHub");
+      const implementation = await UserTicketHub.deploy(await eventFactory.getAddress());
+      const Proxy = await ethers.getContractFactory("TransparentUpgradeableProxy");
+      proxy = await Proxy.deploy(
+        await implementation.getAddress(),
+        await proxyAdmin.getAddress(),
+        UserTicketHub.interface.encodeFunctionData("initialize", [
+          await eventFactory.getAddress(),
+        ])
+      );
+      hub = UserTicketHub.attach(await proxy.getAddress());
+      await eventFactory.setUserTicketHub(await hub.getAddress());
+    });
+
+    it("Should keep profiles, tickets and pending transfers across an upgrade", async function () {
+      await hub.connect(user1).registerUser("User One", "user1@example.com");
+      await hub.connect(user1).buyTickets(0, 0, 3, { value: ticketPrice * BigInt(3) });
+      await hub.connect(user1).favoriteEvent(0);
+      await hub.connect(user1).initiateTransfer(0, user2.address, [0], ticketPrice, eventDate);
+
+      // Upgrade to a version that appends state after the existing variables
+      const UserTicketHubV2 = await ethers.getContractFactory("UserTicketHubV2");
+      const newImplementation = await UserTicketHubV2.deploy(await eventFactory.getAddress());
+      await expect(
+        proxyAdmin.upgradeAndCall(
+          await proxy.getAddress(),
+          await newImplementation.getAddress(),
+          UserTicketHubV2.interface.encodeFunctionData("initializeV2")
+        )
+      )
+        .to.emit(proxy, "Upgraded")
+        .withArgs(await newImplementation.getAddress());
+      expect(
+        await proxyAdmin.getProxyImplementation(await proxy.getAddress())
+      ).to.equal(await newImplementation.getAddress());
+
+      const profile = await hub.userProfiles(user1.address);
+      expect(profile.userName).to.equal("User One");
+      expect(profile.email).to.equal("user1@example.com");
+      expect(profile.isRegistered).to.be.true;
+      expect(profile.totalTicketsOwned).to.equal(3);
+      expect(await hub.getUserAttendingEvents(user1.address)).to.deep.equal([0n]);
+      expect(await hub.getUserTicketIds(user1.address, 0)).to.deep.equal([0n, 1n, 2n]);
+      expect(await hub.isEventFavorite(user1.address, 0)).to.be.true;
+      expect(await hub.pendingTransfers(user1.address, 0, user2.address)).to.equal(1);
+
+      // The pending transfer can still be completed after the upgrade
+      await hub.connect(user2).acceptTransfer(user1.address, 0, { value: ticketPrice });
+      expect(await ticketManager.ownerOf(0)).to.equal(user2.address);
+
+      // The appended state is usable and doesn't overwrite the old state
+      const hubV2 = UserTicketHubV2.attach(await proxy.getAddress());
+      expect(await hubV2.version()).to.equal(2);
+      await hubV2.connect(user1).setNote("See you there");
+      expect(await hubV2.notes(user1.address)).to.equal("See you there");
+      expect((await hubV2.userProfiles(user1.address)).userName).to.equal("User One");
+      expect([...(await hubV2.getUserTicketIds(user1.address, 0))]).to.have.members([1n, 2n]);
+      await expect(hubV2.initializeV2()).to.be.revertedWith(
+        "Initializable: contract is already initialized"
+      );
+    });
+
+    it("Should only let the proxy admin owner upgrade", async function () {
+      const UserTicketHub = await ethers.getContractFactory("UserTicketHub");
+      const newImplementation = await UserTicketHub.deploy(await eventFactory.getAddress());
+
+      await expect(
+        proxyAdmin
+          .connect(user1)
+          .upgrade(await proxy.getAddress(), await newImplementation.getAddress())
+      ).to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should not allow initializing twice", async function () {
+      await expect(
+        hub.initialize(await eventFactory.getAddress())
+      ).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(
+        userTicketHub.initialize(await eventFactory.getAddress())
+      ).to.be.revertedWith("Initializable: contract is already initialized");
     });
   });
 });
\ No newline at end of file